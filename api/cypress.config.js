@@ -1,10 +1,65 @@
 const { defineConfig } = require("cypress");
+const path = require("path");
+const { startSimpleBooksServer } = require("./server/simpleBooksServer");
+const { startStaticServer } = require("../shared/staticServer");
+const { startScriptedServer } = require("./server/scriptedServer");
+const { schemaValidationTasks } = require("./cypress/plugins/schemaValidation");
+const { apiCoverage } = require("./cypress/plugins/apiCoverage");
+const { harTasks } = require("./cypress/plugins/har");
+const { retrySummary } = require("./cypress/plugins/retrySummary");
+const { withEventFanout } = require("./cypress/plugins/events");
+
+// Live services, used when running with `--env target=live`
+const LIVE_APP_URL = "https://rahulshettyacademy.com/angularAppdemo/";
+const LIVE_API_URL = "https://simple-books-api.glitch.me";
 
 module.exports = defineConfig({
   e2e: {
-    baseUrl: "https://rahulshettyacademy.com/angularAppdemo/",
-    setupNodeEvents(on, config) {
-      // implement node event listeners here
+    baseUrl: LIVE_APP_URL,
+    env: {
+      // Profile: "local" serves the Angular demo replica and the Simple Books API
+      // from this repo (offline), "live" targets the public sites
+      target: "local",
+      // HAR mode: "record" (with target=live) or "replay", see cypress/support/har.js
+      harMode: "",
+      // Generated request body fields left out when matching recorded calls
+      harIgnoreFields: ["clientEmail"],
+      // Retry budget of cy.requestWithRetry() for 429/5xx responses
+      retry: { maxRetries: 3, baseDelayMs: 500, maxDelayMs: 10000 },
+    },
+    async setupNodeEvents(cypressOn, config) {
+      const on = withEventFanout(cypressOn);
+
+      on("task", schemaValidationTasks());
+      on("task", harTasks());
+      apiCoverage(on, config);
+      retrySummary(on);
+
+      // Scripted 429/5xx responses for the retry spec (api_retry.cy.js)
+      const scripted = await startScriptedServer();
+      config.env.scriptedApiUrl = scripted.url;
+      on("task", scripted.tasks);
+
+      // An explicit apiBaseUrl (e.g. `--env apiBaseUrl=http://localhost:3001`) always wins
+      if (!config.env.apiBaseUrl) {
+        // Replayed calls must hit the URLs they were recorded against (the live API)
+        if (config.env.target === "live" || config.env.harMode === "replay") {
+          config.env.apiBaseUrl = LIVE_API_URL;
+        } else {
+          const { url } = await startSimpleBooksServer();
+          config.env.apiBaseUrl = url;
+        }
+      }
+
+      if (config.env.target !== "live") {
+        const { url } = await startStaticServer({
+          root: path.join(__dirname, "server", "angular-app-demo"),
+          fallbackToIndex: true,
+        });
+        config.baseUrl = `${url}/`;
+      }
+
+      return config;
     },
   },
 });
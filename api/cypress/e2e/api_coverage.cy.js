@@ -0,0 +1,115 @@
+/// <reference types="cypress" />
+
+/**
+ * @file API coverage report
+ * @description Checks the coverage report (`cypress/plugins/apiCoverage.js`)
+ * end to end: the calls below go through the `cy.request()` recorder, then the
+ * `apiCoverage:write` task writes the report for this spec's calls to
+ * `cypress/reports/api-coverage-check/` and the spec reads it back.
+ *
+ * The calls cover a known subset of `openapi/simple-books-api.json`, including
+ * templated paths (`/books/{bookId}`, `/orders/{orderId}`) and one request
+ * outside the description.
+ *
+ * @author Omar Rizk
+ */
+
+describe("API coverage report", () => {
+  const reportDir = "cypress/reports/api-coverage-check";
+
+  const operation = (report, method, path) =>
+    report.operations.find(
+      (candidate) => candidate.method === method && candidate.path === path
+    );
+
+  // The report covers every call of the spec, so they are made only once
+  before(() => {
+    cy.getApiStatus();
+    cy.getBook(1);
+    cy.getBook(9999, { failOnStatusCode: false });
+    cy.getOrder("unknown-order", { auth: false, failOnStatusCode: false });
+    cy.request({
+      url: `${Cypress.env("apiBaseUrl")}/not-documented`,
+      failOnStatusCode: false,
+    });
+
+    cy.task("apiCoverage:write", {
+      spec: Cypress.spec.relative,
+      dir: reportDir,
+    });
+  });
+
+  it("Should mark the called operations and statuses as covered", () => {
+    cy.readFile(`${reportDir}/api-coverage.json`).then((report) => {
+      expect(operation(report, "GET", "/status").hits).to.deep.equal({
+        200: 1,
+      });
+      // Both /books/1 and /books/9999 match the /books/{bookId} template
+      expect(operation(report, "GET", "/books/{bookId}").hits).to.deep.equal({
+        200: 1,
+        404: 1,
+      });
+      expect(operation(report, "GET", "/orders/{orderId}").hits).to.deep.equal({
+        200: 0,
+        401: 1,
+        404: 0,
+      });
+      expect(operation(report, "GET", "/books").hits).to.deep.equal({
+        200: 0,
+        400: 0,
+      });
+
+      expect(report.summary).to.include({
+        operations: 9,
+        operationsCalled: 3,
+        covered: 4,
+        totalCalls: 5,
+      });
+    });
+  });
+
+  it("Should list the uncovered combinations as gaps", () => {
+    cy.readFile(`${reportDir}/api-coverage.json`).then((report) => {
+      const gaps = report.gaps.map(
+        ({ method, path, status }) => `${method} ${path} ${status}`
+      );
+
+      expect(gaps).to.include.members([
+        "GET /books 200",
+        "POST /orders 201",
+        "GET /orders/{orderId} 200",
+        "DELETE /orders/{orderId} 404",
+      ]);
+      expect(gaps).not.to.include.members([
+        "GET /status 200",
+        "GET /books/{bookId} 404",
+        "GET /orders/{orderId} 401",
+      ]);
+      expect(gaps).to.have.length(report.summary.combinations - 4);
+    });
+  });
+
+  it("Should list requests outside the OpenAPI description separately", () => {
+    cy.readFile(`${reportDir}/api-coverage.json`)
+      .its("undocumentedCalls")
+      .should("have.length", 1)
+      .its(0)
+      .should("include", {
+        method: "GET",
+        path: "/not-documented",
+        status: 404,
+      });
+  });
+
+  it("Should write the HTML matrix with the gaps highlighted", () => {
+    cy.readFile(`${reportDir}/api-coverage.html`).then((html) => {
+      expect(html).to.contain(
+        "4 of 24 documented endpoint/method/status combinations covered (17%)"
+      );
+      expect(html).to.contain("<code>/books/{bookId}</code>");
+      expect(html).to.contain('<td class="covered">✓ 1</td>');
+      expect(html).to.contain('<td class="gap">✗</td>');
+      expect(html).to.contain("/not-documented");
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/// <reference types="cypress" />
+
+/**
+ * @file UI resilience under network faults
+ * @description Verifies how the library UI behaves when the GetBook.php backend
+ * is slow, unreachable, failing or returning a broken body.
+ *
+ * Faults are injected with `cy.injectFault()` on top of the mocked scenarios from
+ * `cy.mockLibrary()`, and the resulting UI is checked with `cy.assertUiState()`.
+ * The whole suite (or any other spec) can also run in chaos mode, e.g.
+ * `--env chaos=flakyLibrary`, see `cypress/support/faults.js`.
+ *
+ * The loading indicator and error alert checked here exist only in the offline
+ * replica (`server/angular-app-demo`), which extends the live app with them, so
+ * the suite is skipped with `--env target=live`.
+ * @author Omar Rizk
+ */
+
+describe("API Testing - UI Resilience Under Network Faults", () => {
+  const getBookRoute = { method: "GET", pathname: "/Library/GetBook.php" };
+
+  before(function () {
+    // The live app shows no loading or error state to assert on
+    if (Cypress.env("target") === "live") {
+      this.skip();
+    }
+  });
+
+  beforeEach(() => {
+    cy.visit("/");
+    cy.mockLibrary("manyBooks");
+  });
+
+  it("Should stay in the loading state until a slow response arrives", () => {
+    cy.injectFault(getBookRoute, { latency: 2000 });
+
+    cy.get(".btn-primary").click();
+
+    // While the response is delayed nothing is rendered
+    cy.assertUiState("loading");
+
+    // Once it arrives, every book is rendered
+    cy.wait("@getBook").then(({ response }) => {
+      cy.get("table tbody tr").should("have.length", response.body.length);
+    });
+    cy.assertUiState("loaded");
+  });
+
+  it("Should show the error state when the connection drops", () => {
+    cy.injectFault(getBookRoute, { dropConnection: true });
+
+    cy.get(".btn-primary").click();
+
+    cy.assertUiState("error");
+  });
+
+  it("Should show the error state when the API responds with 503", () => {
+    cy.injectFault(getBookRoute, { statusCode: 503 });
+
+    cy.get(".btn-primary").click();
+    cy.wait("@fault").its("response.statusCode").should("eq", 503);
+
+    cy.assertUiState("error");
+  });
+
+  it("Should show the error state when the response body is truncated", () => {
+    cy.injectFault(getBookRoute, { truncatedBody: true });
+
+    cy.get(".btn-primary").click();
+    cy.wait("@getBook");
+
+    cy.assertUiState("error");
+  });
+
+  it("Should recover on retry when only every second request fails", () => {
+    cy.injectFault(getBookRoute, { statusCode: 503, intermittentEvery: 2 });
+
+    // Every click is waited on through @fault, which sees each request in turn
+
+    // 1st request goes through
+    cy.get(".btn-primary").click();
+    cy.wait("@fault").its("response.statusCode").should("eq", 200);
+    cy.assertUiState("loaded");
+
+    // 2nd request fails: the error alert is shown and the already rendered
+    // books stay on screen
+    cy.get(".btn-primary").click();
+    cy.wait("@fault").its("response.statusCode").should("eq", 503);
+    cy.get(".alert-danger").should("be.visible");
+    cy.get("table tbody tr").should("not.have.length", 0);
+
+    // 3rd request succeeds again and clears the error
+    cy.get(".btn-primary").click();
+    cy.wait("@fault").then(({ response }) => {
+      expect(response.statusCode).to.eq(200);
+      cy.get("table tbody tr").should("have.length", response.body.length);
+    });
+    cy.assertUiState("loaded");
+  });
+
+  it("Should show the empty state when the API returns no books", () => {
+    cy.mockLibrary("emptyList");
+
+    cy.get(".btn-primary").click();
+    cy.wait("@getBook");
+
+    cy.assertUiState("empty");
+  });
+});
@@ -0,0 +1,86 @@
+/// <reference types="cypress" />
+
+/**
+ * @file HAR recording
+ * @description Records `cy.request()` calls made with each of its signatures
+ * (see `cypress/support/requestArgs.js`) and checks the HAR file written by
+ * `cy.saveHar()` (`cypress/support/har.js`, `cypress/plugins/har.js`).
+ *
+ * The suite turns record mode on through its own `env` and writes to
+ * `cypress/reports/har/`, away from the `cypress/recordings/` files that
+ * `npm run test:replay` reads. No recordings are checked in: make them first
+ * with `npm run har:record`.
+ *
+ * @author Omar Rizk
+ */
+
+describe(
+  "HAR recording",
+  { env: { harMode: "record", harDir: "cypress/reports/har" } },
+  () => {
+    it("Should record cy.request calls in every argument form", () => {
+      const api = Cypress.env("apiBaseUrl");
+
+      // (url)
+      cy.request(`${api}/status`);
+      // (method, url)
+      cy.request("GET", `${api}/books/1`);
+      // (method, url, body)
+      cy.request("POST", `${api}/api-clients/`, {
+        clientName: "HarClient",
+        clientEmail: `har${Date.now()}@example.com`,
+      });
+      // (options), with a lowercase method, query string and auth header
+      cy.request({
+        method: "get",
+        url: `${api}/books`,
+        qs: { type: "fiction", limit: 2 },
+        headers: { Authorization: "Bearer not-a-real-token" },
+      });
+
+      cy.saveHar()
+        .then((file) => {
+          expect(file).to.match(
+            /cypress[\\/]reports[\\/]har[\\/]api_har\.har$/
+          );
+          return cy.readFile(file);
+        })
+        .then((har) => {
+          const { entries } = har.log;
+
+          expect(har.log.version).to.equal("1.2");
+          expect(
+            entries.map(({ request }) => `${request.method} ${request.url}`)
+          ).to.deep.equal([
+            `GET ${api}/status`,
+            `GET ${api}/books/1`,
+            `POST ${api}/api-clients/`,
+            `GET ${api}/books?type=fiction&limit=2`,
+          ]);
+          expect(entries.map(({ response }) => response.status)).to.deep.equal([
+            200, 200, 201, 200,
+          ]);
+          entries.forEach((entry) => {
+            expect(entry._source).to.equal("cy.request");
+          });
+
+          const [status, book, client, books] = entries;
+
+          expect(status.request).not.to.have.property("postData");
+          expect(JSON.parse(book.response.content.text)).to.include({ id: 1 });
+          expect(client.request.postData.mimeType).to.equal("application/json");
+          expect(JSON.parse(client.request.postData.text)).to.include({
+            clientName: "HarClient",
+          });
+          expect(books.request.queryString).to.deep.equal([
+            { name: "type", value: "fiction" },
+            { name: "limit", value: "2" },
+          ]);
+          expect(books.request.headers).to.deep.include({
+            name: "Authorization",
+            value: "<redacted>",
+          });
+        });
+    });
+  }
+);
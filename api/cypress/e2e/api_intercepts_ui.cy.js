@@ -4,6 +4,12 @@
  * @file API Testing using Cypress Intercepts
  * @description This test file demonstrates how to intercept and mock API responses using Cypress.
  * It verifies UI behavior based on different API responses.
+ *
+ * Mocked backend states come from the named scenarios in `cypress/fixtures/library`,
+ * installed with `cy.mockLibrary(scenario)` (aliased as `@getBook`).
+ *
+ * By default the page is the local replica in `server/angular-app-demo`; run with
+ * `--env target=live` to test the live Angular demo instead.
  * @author Omar Rizk
  */
 
@@ -15,16 +21,7 @@ describe("API Testing - Mocking GET Requests", () => {
 
   it("Should display correct message when only 1 book is available", () => {
     // Mocking API response with a single book
-    cy.intercept(
-      {
-        method: "GET",
-        url: "https://rahulshettyacademy.com/Library/GetBook.php?AuthorName=shetty",
-      },
-      {
-        body: [{ book_name: "Book 1", isbn: "B1", aisle: "1001" }],
-        statusCode: 200, // Simulating a successful response
-      }
-    ).as("getBook");
+    cy.mockLibrary("singleBook");
 
     // Clicking the button that triggers the API call
     cy.get(".btn-primary").click();
@@ -37,37 +34,79 @@ describe("API Testing - Mocking GET Requests", () => {
   });
 
   it("Should validate that response length matches the number of table rows", () => {
-    // Mocking API response with 5 books
-    const mockBooks = [
-      { book_name: "Book 1", isbn: "B1", aisle: "1001" },
-      { book_name: "Book 2", isbn: "B2", aisle: "1002" },
-      { book_name: "Book 3", isbn: "B3", aisle: "1003" },
-      { book_name: "Book 4", isbn: "B4", aisle: "1004" },
-      { book_name: "Book 5", isbn: "B5", aisle: "1005" },
-    ];
-
-    cy.intercept(
-      {
-        method: "GET",
-        url: "https://rahulshettyacademy.com/Library/GetBook.php?AuthorName=shetty",
-      },
-      {
-        body: mockBooks, // Sending 5 books in response
-        statusCode: 200, // Simulating a successful response
-      }
-    ).as("getBook");
+    // Mocking API response with many books
+    cy.mockLibrary("manyBooks");
 
     // Clicking the button that triggers the API call
     cy.get(".btn-primary").click();
 
-    // Waiting for the mocked API response
+    // Validating that the number of table rows matches the response array length
+    cy.wait("@getBook").then(({ response }) => {
+      cy.get("table tbody tr").should("have.length", response.body.length);
+    });
+  });
+
+  it("Should render an empty table when no books are available", () => {
+    cy.mockLibrary("emptyList");
+
+    cy.get(".btn-primary").click();
     cy.wait("@getBook");
 
-    // Validating that the number of table rows matches the response array length (5)
-    cy.get("table tbody tr").should("have.length", mockBooks.length);
+    // No rows and no "only 1 Book" message
+    cy.get("table tbody tr").should("not.exist");
+    cy.contains("Oops only 1 Book available").should("not.exist");
+  });
+
+  it("Should render no books when the API responds with 403", () => {
+    cy.mockLibrary("forbidden");
+
+    cy.get(".btn-primary").click();
+    cy.wait("@getBook").its("response.statusCode").should("eq", 403);
+
+    cy.get("table tbody tr").should("not.exist");
+    cy.contains("Oops only 1 Book available").should("not.exist");
   });
 
-  it("Should validate that API returns a 403 error when using an unauthorized author", () => {
+  it("Should render no books when the API responds with 500", () => {
+    cy.mockLibrary("serverError");
+
+    cy.get(".btn-primary").click();
+    cy.wait("@getBook").its("response.statusCode").should("eq", 500);
+
+    cy.get("table tbody tr").should("not.exist");
+    cy.contains("Oops only 1 Book available").should("not.exist");
+  });
+
+  it("Should render no books when the API returns malformed JSON", () => {
+    cy.mockLibrary("malformedJson");
+
+    cy.get(".btn-primary").click();
+    cy.wait("@getBook");
+
+    // The body cannot be parsed, so nothing is rendered
+    cy.get("table tbody tr").should("not.exist");
+  });
+
+  it("Should render the books only once a slow response arrives", () => {
+    cy.mockLibrary("slowResponse");
+
+    cy.get(".btn-primary").click();
+
+    // Nothing is rendered while the response is delayed
+    cy.get("table tbody tr").should("not.exist");
+
+    cy.wait("@getBook").then(({ response }) => {
+      cy.get("table tbody tr").should("have.length", response.body.length);
+    });
+  });
+
+  it("Should validate that API returns a 403 error when using an unauthorized author", function () {
+    // The request is passed through to the real backend, which is only reachable
+    // in the live profile (`--env target=live`)
+    if (Cypress.env("target") !== "live") {
+      this.skip();
+    }
+
     cy.intercept(
       "GET",
       "https://rahulshettyacademy.com/Library/GetBook.php?AuthorName=shetty",
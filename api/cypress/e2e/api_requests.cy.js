@@ -12,25 +12,34 @@
  * These tests ensure the API behaves as expected, handles errors correctly,
  * and enforces authentication properly.
  *
+ * Requests go through the custom commands in `cypress/support/commands.js`
+ * (`cy.getBooks()`, `cy.createOrder()`, ...), which attach the auth token and
+ * log each request/response. Every response body is also validated against its
+ * JSON schema (`cypress/schemas`) with `cy.validateSchema()`.
+ *
+ * The base URL comes from the `apiBaseUrl` env value. By default it points at the
+ * local Simple Books server started in `setupNodeEvents`; run with
+ * `--env target=live` to hit https://simple-books-api.glitch.me instead.
+ *
  * @author Omar Rizk
  */
 
 describe("Simple Books API - Public Endpoints", () => {
-  const baseUrl = "https://simple-books-api.glitch.me"; // Base API URL
-
   it("Should check API status", () => {
     // The `/status` endpoint should return 200 and indicate that the API is running.
-    cy.request("GET", `${baseUrl}/status`).then((response) => {
+    cy.getApiStatus().then((response) => {
       expect(response.status).to.eq(200);
       expect(response.body).to.have.property("status", "OK");
+      cy.validateSchema(response.body, "status");
       cy.log("API Status Response:", response.body);
     });
   });
 
   it("Should fetch the list of books", () => {
     // The `/books` endpoint should return a non-empty array of books.
-    cy.request("GET", `${baseUrl}/books`).then((response) => {
+    cy.getBooks().then((response) => {
       expect(response.status).to.eq(200);
+      cy.validateSchema(response.body, "book-list");
       expect(response.body).to.be.an("array").that.is.not.empty;
       cy.log("Fetched Books:", response.body);
     });
@@ -38,8 +47,9 @@ describe("Simple Books API - Public Endpoints", () => {
 
   it("Should fetch books with optional parameters (fiction)", () => {
     // Fetching books that belong to the "fiction" category.
-    cy.request("GET", `${baseUrl}/books?type=fiction`).then((response) => {
+    cy.getBooks({ type: "fiction" }).then((response) => {
       expect(response.status).to.eq(200);
+      cy.validateSchema(response.body, "book-list");
       expect(response.body).to.be.an("array").that.is.not.empty;
 
       // Ensuring all books returned are of type "fiction"
@@ -53,156 +63,142 @@ describe("Simple Books API - Public Endpoints", () => {
 
   it("Should fetch books with optional parameters (limit)", () => {
     const limit = 3;
-    cy.request("GET", `${baseUrl}/books?limit=${limit}`).then((response) => {
+    cy.getBooks({ limit }).then((response) => {
       expect(response.status).to.eq(200);
       expect(response.body).to.be.an("array");
       expect(response.body.length).to.be.at.most(limit);
+      cy.validateSchema(response.body, "book-list");
       cy.log(`Books (Limit ${limit}):`, response.body);
     });
   });
 
   it("Should return 400 for invalid query parameters", () => {
-    cy.request({
-      method: "GET",
-      url: `${baseUrl}/books?type=invalid`, // Invalid type parameter
-      failOnStatusCode: false,
-    }).then((response) => {
-      expect(response.status).to.eq(400);
-      cy.log("Invalid Query Response:", response.body);
-    });
+    // Invalid type parameter
+    cy.getBooks({ type: "invalid" }, { failOnStatusCode: false }).then(
+      (response) => {
+        expect(response.status).to.eq(400);
+        cy.log("Invalid Query Response:", response.body);
+        cy.validateSchema(response.body, "error");
+      }
+    );
   });
 
   it("Should fetch a single book by ID", () => {
-    cy.request("GET", `${baseUrl}/books/1`).then((response) => {
+    cy.getBook(1).then((response) => {
       expect(response.status).to.eq(200);
       expect(response.body).to.have.property("id", 1);
       expect(response.body).to.have.property("name");
       expect(response.body).to.have.property("type");
+      cy.validateSchema(response.body, "book");
       cy.log("Book Details:", response.body);
     });
   });
 });
 
 describe("Simple Books API - Authentication & Order Management", () => {
-  const baseUrl = "https://simple-books-api.glitch.me";
-  let authToken; // Variable to store authentication token
-  let orderId; // Variable to store the created order ID
-
-  before(() => {
-    // Registering a new API client to get an access token.
-    cy.request("POST", `${baseUrl}/api-clients/`, {
-      clientName: "CypressTestClient",
-      clientEmail: `test${Date.now()}@example.com`, // Unique email to avoid conflicts
-    }).then((response) => {
+  // Every test registers its own API client and creates the orders it needs
+  // through `cy.createTestOrder()`, which deletes them again in `afterEach`.
+  // Tests can therefore run alone (`.only`, grep) or in any order.
+
+  beforeEach(() => {
+    // Registering a new API client; the commands reuse its access token.
+    cy.registerApiClient().then((response) => {
       expect(response.status).to.eq(201);
-      authToken = response.body.accessToken;
-      cy.log("Generated Auth Token:", authToken);
+      cy.validateSchema(response.body, "api-client-token");
+      cy.log("Generated Auth Token:", response.body.accessToken);
     });
   });
 
   it("Should submit a new order", () => {
-    cy.request({
-      method: "POST",
-      url: `${baseUrl}/orders`,
-      headers: { Authorization: `Bearer ${authToken}` },
-      body: { bookId: 1, customerName: "John Doe" },
-    }).then((response) => {
-      expect(response.status).to.eq(201);
-      expect(response.body).to.have.property("orderId");
-      orderId = response.body.orderId;
-      cy.log("Order Created:", orderId);
-    });
+    cy.createTestOrder({ bookId: 1, customerName: "John Doe" }).then(
+      (response) => {
+        expect(response.status).to.eq(201);
+        expect(response.body).to.have.property("orderId");
+        cy.validateSchema(response.body, "order-created");
+        cy.log("Order Created:", response.body.orderId);
+      }
+    );
   });
 
   it("Should fail to submit an order without authentication", () => {
-    cy.request({
-      method: "POST",
-      url: `${baseUrl}/orders`,
-      body: { bookId: 1, customerName: "Unauthorized User" },
-      failOnStatusCode: false,
-    }).then((response) => {
+    cy.createTestOrder(
+      { bookId: 1, customerName: "Unauthorized User" },
+      { auth: false, failOnStatusCode: false }
+    ).then((response) => {
       expect(response.status).to.eq(401);
+      cy.validateSchema(response.body, "error");
       cy.log("Unauthorized Order Response:", response.body);
     });
   });
 
   it("Should fail to submit an order with missing required fields", () => {
-    cy.request({
-      method: "POST",
-      url: `${baseUrl}/orders`,
-      headers: { Authorization: `Bearer ${authToken}` },
-      body: { bookId: 1 }, // Missing customerName
-      failOnStatusCode: false,
-    }).then((response) => {
+    // Missing customerName
+    cy.createTestOrder(
+      { customerName: undefined },
+      { failOnStatusCode: false }
+    ).then((response) => {
       expect(response.status).to.eq(400);
+      cy.validateSchema(response.body, "error");
       cy.log("Order Creation Failure Response:", response.body);
     });
   });
 
   it("Should fetch all orders", () => {
-    cy.request({
-      method: "GET",
-      url: `${baseUrl}/orders`,
-      headers: { Authorization: `Bearer ${authToken}` },
-    }).then((response) => {
+    cy.createTestOrder();
+
+    cy.getOrders().then((response) => {
       expect(response.status).to.eq(200);
-      expect(response.body).to.be.an("array");
+      expect(response.body).to.be.an("array").and.have.length(1);
+      cy.validateSchema(response.body, "order-list");
       cy.log("Orders List:", response.body);
     });
   });
 
   it("Should fetch a single order by ID and Validate Details", () => {
-    cy.request({
-      method: "GET",
-      url: `${baseUrl}/orders/${orderId}`,
-      headers: { Authorization: `Bearer ${authToken}` },
-    }).then((response) => {
-      expect(response.status).to.eq(200);
-      expect(response.body).to.have.property("id", orderId);
-      expect(response.body).to.have.property("bookId", 1);
-      expect(response.body).to.have.property("customerName", "John Doe");
-      cy.log("Order Details:", response.body);
-    });
+    cy.createTestOrder({ bookId: 1, customerName: "John Doe" }).then(
+      ({ body: { orderId } }) => {
+        cy.getOrder(orderId).then((response) => {
+          expect(response.status).to.eq(200);
+          expect(response.body).to.have.property("id", orderId);
+          expect(response.body).to.have.property("bookId", 1);
+          expect(response.body).to.have.property("customerName", "John Doe");
+          cy.validateSchema(response.body, "order");
+          cy.log("Order Details:", response.body);
+        });
+      }
+    );
   });
 
   it("Should update an order's customer name", () => {
-    cy.request({
-      method: "PATCH",
-      url: `${baseUrl}/orders/${orderId}`,
-      headers: { Authorization: `Bearer ${authToken}` },
-      body: { customerName: "Jane Doe" },
-    }).then((response) => {
-      expect(response.status).to.eq(204);
-    });
-
-    // Verifying the update
-    cy.request({
-      method: "GET",
-      url: `${baseUrl}/orders/${orderId}`,
-      headers: { Authorization: `Bearer ${authToken}` },
-    }).then((response) => {
-      expect(response.status).to.eq(200);
-      expect(response.body.customerName).to.eq("Jane Doe");
-    });
+    cy.createTestOrder({ customerName: "John Doe" }).then(
+      ({ body: { orderId } }) => {
+        cy.updateOrder(orderId, { customerName: "Jane Doe" }).then(
+          (response) => {
+            expect(response.status).to.eq(204);
+          }
+        );
+
+        // Verifying the update
+        cy.getOrder(orderId).then((response) => {
+          expect(response.status).to.eq(200);
+          expect(response.body.customerName).to.eq("Jane Doe");
+          cy.validateSchema(response.body, "order");
+        });
+      }
+    );
   });
 
   it("Should delete an order", () => {
-    cy.request({
-      method: "DELETE",
-      url: `${baseUrl}/orders/${orderId}`,
-      headers: { Authorization: `Bearer ${authToken}` },
-    }).then((response) => {
-      expect(response.status).to.eq(204);
-    });
+    cy.createTestOrder().then(({ body: { orderId } }) => {
+      cy.deleteOrder(orderId).then((response) => {
+        expect(response.status).to.eq(204);
+      });
 
-    // Confirming deletion
-    cy.request({
-      method: "GET",
-      url: `${baseUrl}/orders/${orderId}`,
-      headers: { Authorization: `Bearer ${authToken}` },
-      failOnStatusCode: false,
-    }).then((response) => {
-      expect(response.status).to.eq(404);
+      // Confirming deletion
+      cy.getOrder(orderId, { failOnStatusCode: false }).then((response) => {
+        expect(response.status).to.eq(404);
+        cy.validateSchema(response.body, "error");
+      });
     });
   });
 });
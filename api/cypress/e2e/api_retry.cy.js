@@ -0,0 +1,126 @@
+/// <reference types="cypress" />
+
+/**
+ * @file Retrying transient failures
+ * @description Checks `cy.requestWithRetry()` (`cypress/support/retry.js`) and
+ * the retry summary (`cypress/plugins/retrySummary.js`) against the scripted
+ * server (`server/scriptedServer.js`), which answers with 429/503 responses set
+ * up by each test through the `scripted:respond` task.
+ *
+ * The suite uses a small retry budget so backoff delays stay short, and no HAR
+ * mode: the scripted responses are neither recorded nor replayed.
+ *
+ * @author Omar Rizk
+ */
+
+describe(
+  "API Testing - Retrying Transient Failures",
+  {
+    env: {
+      harMode: "",
+      retry: { maxRetries: 3, baseDelayMs: 50, maxDelayMs: 1000 },
+    },
+  },
+  () => {
+    const url = () => `${Cypress.env("scriptedApiUrl")}/flaky`;
+
+    const attempts = () => cy.task("scripted:requests").its("length");
+
+    // Summary of the retries made by the current test
+    const retrySummary = () =>
+      cy.task("retrySummary:current", {
+        test: Cypress.currentTest.titlePath.join(" > "),
+      });
+
+    it("Should wait for Retry-After before retrying a 429", () => {
+      cy.task("scripted:respond", [
+        { status: 429, headers: { "Retry-After": "1" } },
+        { status: 200, body: { ok: true } },
+      ]);
+
+      cy.requestWithRetry({ url: url() }).then((response) => {
+        expect(response.status).to.eq(200);
+        expect(response.body).to.deep.equal({ ok: true });
+      });
+
+      attempts().should("eq", 2);
+      retrySummary().then(({ summary, lines }) => {
+        expect(summary.totalRetries).to.eq(1);
+        expect(summary.byStatus).to.deep.equal({ 429: 1 });
+        expect(summary.retries[0]).to.include({
+          method: "GET",
+          status: 429,
+          retry: 1,
+          delayMs: 1000,
+        });
+        expect(lines).to.deep.equal([
+          "Request retries: 1 (1x 429), 1000ms spent waiting",
+          `  - GET ${url()} → 429 (retry 1) in "${Cypress.currentTest.titlePath.join(" > ")}"`,
+        ]);
+      });
+    });
+
+    it("Should back off exponentially on 503 without Retry-After", () => {
+      cy.task("scripted:respond", [{ status: 503 }, { status: 503 }]);
+
+      cy.requestWithRetry({ url: url() }).its("status").should("eq", 200);
+
+      attempts().should("eq", 3);
+      retrySummary().then(({ summary, lines }) => {
+        expect(summary.retries.map(({ delayMs }) => delayMs)).to.deep.equal([
+          50, 100,
+        ]);
+        expect(lines[0]).to.eq(
+          "Request retries: 2 (2x 503), 150ms spent waiting"
+        );
+      });
+    });
+
+    it("Should fall back to the backoff when Retry-After cannot be parsed", () => {
+      cy.task("scripted:respond", [
+        { status: 503, headers: { "Retry-After": "soon" } },
+      ]);
+
+      cy.requestWithRetry({ url: url() }).its("status").should("eq", 200);
+
+      attempts().should("eq", 2);
+      retrySummary().its("summary.retries.0.delayMs").should("eq", 50);
+    });
+
+    it("Should give up once the retry budget is spent", () => {
+      cy.task("scripted:respond", [
+        { status: 503 },
+        { status: 503 },
+        { status: 503 },
+        { status: 503 },
+      ]);
+
+      cy.requestWithRetry({ url: url(), failOnStatusCode: false })
+        .its("status")
+        .should("eq", 503);
+
+      // The first attempt plus maxRetries
+      attempts().should("eq", 4);
+      retrySummary().its("summary.totalRetries").should("eq", 3);
+    });
+
+    it("Should not retry a POST unless it opts in", () => {
+      cy.task("scripted:respond", [{ status: 503 }]);
+
+      cy.requestWithRetry({
+        method: "POST",
+        url: url(),
+        body: { bookId: 1 },
+        failOnStatusCode: false,
+      })
+        .its("status")
+        .should("eq", 503);
+
+      attempts().should("eq", 1);
+      retrySummary().its("summary.totalRetries").should("eq", 0);
+      retrySummary()
+        .its("lines")
+        .should("deep.equal", ["Request retries: none"]);
+    });
+  }
+);
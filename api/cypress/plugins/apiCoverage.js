@@ -0,0 +1,323 @@
+/**
+ * @file API coverage report
+ * @description Node side of the endpoint/status coverage report.
+ *
+ * The `recordApiCall` task collects every `cy.request()` made during the run
+ * (see `cypress/support/apiCoverage.js`). After the run, the calls are matched
+ * against the checked-in OpenAPI description (`openapi/simple-books-api.json`)
+ * and written as:
+ * - `cypress/reports/api-coverage.json` - machine-readable matrix
+ * - `cypress/reports/api-coverage.html` - the same matrix with gaps highlighted
+ *
+ * Every documented (path, method, status) combination is a cell in the matrix.
+ * Calls that hit an undocumented operation or status are listed separately so
+ * the OpenAPI description can be kept honest.
+ *
+ * The `apiCoverage:write` task writes the same report on demand, for the calls
+ * of one spec, to another directory (see `api_coverage.cy.js`).
+ *
+ * @author Omar Rizk
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_OPENAPI_FILE = path.join(
+  __dirname,
+  "..",
+  "..",
+  "openapi",
+  "simple-books-api.json"
+);
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, "..", "reports");
+const HTTP_METHODS = [
+  "get",
+  "post",
+  "put",
+  "patch",
+  "delete",
+  "head",
+  "options",
+];
+
+// "/orders/{orderId}/" -> /^\/orders\/[^/]+$/
+function toPathRegex(template) {
+  const pattern = trimSlash(template)
+    .split(/\{[^}]+\}/)
+    .map((part) => part.replace(/[.*+?^$()|[\]\\]/g, "\\$&"))
+    .join("[^/]+");
+  return new RegExp(`^${pattern}$`);
+}
+
+function trimSlash(pathname) {
+  return pathname.replace(/\/+$/, "") || "/";
+}
+
+/**
+ * Lists every operation of an OpenAPI document with its documented statuses.
+ */
+function listOperations(openapi) {
+  return Object.entries(openapi.paths).flatMap(([template, pathItem]) =>
+    HTTP_METHODS.filter((method) => pathItem[method]).map((method) => ({
+      path: template,
+      method: method.toUpperCase(),
+      summary: pathItem[method].summary || "",
+      regex: toPathRegex(template),
+      statuses: Object.keys(pathItem[method].responses),
+    }))
+  );
+}
+
+/**
+ * Returns the path of `url` relative to `apiBaseUrl`, or null for other hosts.
+ */
+function apiPath(url, apiBaseUrl) {
+  if (!apiBaseUrl || !url.startsWith(apiBaseUrl)) {
+    return null;
+  }
+
+  return new URL(url).pathname.slice(
+    new URL(apiBaseUrl).pathname.replace(/\/$/, "").length
+  );
+}
+
+/**
+ * Builds the coverage report from the recorded calls.
+ *
+ * @param {object} openapi - Parsed OpenAPI document.
+ * @param {{ method: string, url: string, status: number, spec: string }[]} calls
+ * @param {string} apiBaseUrl - Base URL the calls were made against.
+ */
+function buildCoverageReport(openapi, calls, apiBaseUrl) {
+  const operations = listOperations(openapi).map((operation) => ({
+    ...operation,
+    hits: Object.fromEntries(operation.statuses.map((status) => [status, 0])),
+    undocumentedStatuses: {},
+    specs: new Set(),
+  }));
+  const undocumentedCalls = [];
+
+  calls.forEach((call) => {
+    const pathname = apiPath(call.url, apiBaseUrl);
+    const operation =
+      pathname !== null &&
+      operations.find(
+        (candidate) =>
+          candidate.method === call.method &&
+          candidate.regex.test(trimSlash(pathname))
+      );
+
+    if (!operation) {
+      undocumentedCalls.push({ ...call, path: pathname });
+      return;
+    }
+
+    const status = String(call.status);
+    const bucket =
+      status in operation.hits
+        ? operation.hits
+        : operation.undocumentedStatuses;
+    bucket[status] = (bucket[status] || 0) + 1;
+    operation.specs.add(call.spec);
+  });
+
+  const combinations = operations.flatMap((operation) =>
+    operation.statuses.map((status) => ({
+      path: operation.path,
+      method: operation.method,
+      status,
+      calls: operation.hits[status],
+    }))
+  );
+  const covered = combinations.filter((combination) => combination.calls > 0);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    apiBaseUrl,
+    summary: {
+      operations: operations.length,
+      operationsCalled: operations.filter((operation) =>
+        Object.values(operation.hits).some((count) => count > 0)
+      ).length,
+      combinations: combinations.length,
+      covered: covered.length,
+      percentage: combinations.length
+        ? Math.round((covered.length / combinations.length) * 100)
+        : 0,
+      totalCalls: calls.length,
+    },
+    operations: operations.map(({ regex, specs, ...operation }) => ({
+      ...operation,
+      specs: [...specs],
+    })),
+    gaps: combinations.filter((combination) => combination.calls === 0),
+    undocumentedCalls,
+  };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Renders the report as a standalone HTML page.
+ */
+function renderCoverageHtml(report) {
+  const statuses = [
+    ...new Set(report.operations.flatMap((operation) => operation.statuses)),
+  ].sort();
+
+  const rows = report.operations
+    .map((operation) => {
+      const cells = statuses
+        .map((status) => {
+          if (!(status in operation.hits)) {
+            return `<td class="na">–</td>`;
+          }
+          const count = operation.hits[status];
+          return count
+            ? `<td class="covered">✓ ${count}</td>`
+            : `<td class="gap">✗</td>`;
+        })
+        .join("");
+      const undocumented = Object.entries(operation.undocumentedStatuses)
+        .map(([status, count]) => `${status} (${count})`)
+        .join(", ");
+
+      return `<tr><td><code>${operation.method}</code></td><td><code>${escapeHtml(
+        operation.path
+      )}</code></td>${cells}<td class="${undocumented ? "warn" : ""}">${escapeHtml(
+        undocumented
+      )}</td></tr>`;
+    })
+    .join("\n");
+
+  const undocumentedRows = report.undocumentedCalls
+    .map(
+      (call) =>
+        `<tr><td><code>${call.method}</code></td><td>${escapeHtml(call.url)}</td><td>${
+          call.status
+        }</td><td>${escapeHtml(call.spec)}</td></tr>`
+    )
+    .join("\n");
+
+  const { summary } = report;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>API coverage</title>
+<style>
+  body { font-family: sans-serif; margin: 2rem; }
+  table { border-collapse: collapse; margin-bottom: 2rem; }
+  th, td { border: 1px solid #ccc; padding: 0.4rem 0.8rem; text-align: left; }
+  .covered { background: #d4f7d4; }
+  .gap { background: #f7d4d4; font-weight: bold; }
+  .na { color: #aaa; }
+  .warn { background: #fff2cc; }
+</style>
+</head>
+<body>
+<h1>Simple Books API coverage</h1>
+<p>${summary.covered} of ${summary.combinations} documented endpoint/method/status combinations covered (${summary.percentage}%),
+${summary.operationsCalled} of ${summary.operations} operations called, ${summary.totalCalls} requests recorded.</p>
+<p>Generated ${escapeHtml(report.generatedAt)} against <code>${escapeHtml(report.apiBaseUrl)}</code>.</p>
+<table>
+<thead><tr><th>Method</th><th>Path</th>${statuses
+    .map((status) => `<th>${status}</th>`)
+    .join("")}<th>Undocumented statuses</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+<h2>Requests outside the OpenAPI description</h2>
+${
+  undocumentedRows
+    ? `<table><thead><tr><th>Method</th><th>URL</th><th>Status</th><th>Spec</th></tr></thead><tbody>
+${undocumentedRows}
+</tbody></table>`
+    : "<p>None.</p>"
+}
+</body>
+</html>
+`;
+}
+
+/**
+ * Writes the JSON and HTML reports to `outputDir`.
+ *
+ * @returns {string} Path of the HTML report.
+ */
+function writeCoverageReport(report, outputDir) {
+  const htmlFile = path.join(outputDir, "api-coverage.html");
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(outputDir, "api-coverage.json"),
+    JSON.stringify(report, null, 2)
+  );
+  fs.writeFileSync(htmlFile, renderCoverageHtml(report));
+
+  return htmlFile;
+}
+
+/**
+ * Registers the `recordApiCall` and `apiCoverage:write` tasks and writes the
+ * reports after the run.
+ *
+ * @param {Cypress.PluginEvents} on
+ * @param {Cypress.PluginConfigOptions} config
+ * @param {object} [options]
+ * @param {string} [options.openapiFile] - OpenAPI description to check against.
+ * @param {string} [options.outputDir] - Where the reports are written.
+ */
+function apiCoverage(
+  on,
+  config,
+  { openapiFile = DEFAULT_OPENAPI_FILE, outputDir = DEFAULT_OUTPUT_DIR } = {}
+) {
+  const calls = [];
+  // Read lazily: apiBaseUrl is resolved after the plugins are registered
+  const buildReport = (recorded) =>
+    buildCoverageReport(
+      JSON.parse(fs.readFileSync(openapiFile, "utf8")),
+      recorded,
+      config.env.apiBaseUrl
+    );
+
+  on("task", {
+    recordApiCall(call) {
+      calls.push(call);
+      return null;
+    },
+
+    /**
+     * Writes the report for the calls recorded so far by `spec` to `dir`
+     * (relative to the project root) and yields it.
+     */
+    "apiCoverage:write"({ spec, dir }) {
+      const report = buildReport(calls.filter((call) => call.spec === spec));
+      writeCoverageReport(report, path.resolve(config.projectRoot, dir));
+      return report;
+    },
+  });
+
+  on("after:run", () => {
+    const report = buildReport(calls);
+    const htmlFile = writeCoverageReport(report, outputDir);
+
+    console.log(
+      `API coverage: ${report.summary.covered}/${report.summary.combinations} combinations (${report.summary.percentage}%), ${report.gaps.length} gaps - see ${path.relative(
+        process.cwd(),
+        htmlFile
+      )}`
+    );
+  });
+}
+
+module.exports = { apiCoverage, buildCoverageReport, renderCoverageHtml };
@@ -0,0 +1,40 @@
+/**
+ * @file Plugin event fan-out
+ * @description Cypress keeps only the last handler registered for lifecycle
+ * events such as `after:run`, so two plugins listening to the same event would
+ * silently override each other. `withEventFanout(on)` returns an `on` that
+ * collects every handler and registers a single one calling them in order.
+ *
+ * Tasks are merged by Cypress itself, so `on("task", ...)` is passed through.
+ *
+ * @author Omar Rizk
+ */
+
+const FANOUT_EVENTS = ["before:run", "after:run", "before:spec", "after:spec"];
+
+/**
+ * @param {Cypress.PluginEvents} on - The `on` received by `setupNodeEvents`.
+ * @returns {Cypress.PluginEvents}
+ */
+function withEventFanout(on) {
+  const handlers = {};
+
+  return (event, handler) => {
+    if (!FANOUT_EVENTS.includes(event)) {
+      return on(event, handler);
+    }
+
+    if (!handlers[event]) {
+      handlers[event] = [];
+      on(event, async (...args) => {
+        for (const registered of handlers[event]) {
+          await registered(...args);
+        }
+      });
+    }
+
+    handlers[event].push(handler);
+  };
+}
+
+module.exports = { withEventFanout };
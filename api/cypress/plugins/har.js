@@ -0,0 +1,189 @@
+/**
+ * @file HAR recordings
+ * @description Node side of the HAR record/replay mode (see `cypress/support/har.js`).
+ *
+ * - `har:save` writes the traffic captured for a spec to
+ *   `cypress/recordings/<spec>.har` (HAR 1.2, readable by browser dev tools).
+ * - `har:load` reads it back as the simplified entries the support file works with.
+ *
+ * Both take an optional `dir`, relative to the project root, to use instead of
+ * `cypress/recordings`.
+ *
+ * Authorization and cookie headers are redacted before anything is written,
+ * since the recordings are meant to be checked in.
+ *
+ * @author Omar Rizk
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const PROJECT_ROOT = path.join(__dirname, "..", "..");
+const DEFAULT_RECORDINGS_DIR = path.join(PROJECT_ROOT, "cypress", "recordings");
+const REDACTED_HEADERS = ["authorization", "cookie", "set-cookie"];
+
+// "cypress/e2e/api_requests.cy.js" -> "api_requests.har"
+function harFileName(spec) {
+  return `${path.basename(spec).replace(/\.cy\.[jt]sx?$/, "")}.har`;
+}
+
+function toHarHeaders(headers = {}) {
+  return Object.entries(headers).flatMap(([name, value]) =>
+    (Array.isArray(value) ? value : [value]).map((item) => ({
+      name,
+      value: REDACTED_HEADERS.includes(name.toLowerCase())
+        ? "<redacted>"
+        : String(item),
+    }))
+  );
+}
+
+function fromHarHeaders(headers = []) {
+  return headers.reduce(
+    (result, { name, value }) => ({ ...result, [name]: value }),
+    {}
+  );
+}
+
+function serializeBody(body) {
+  if (body === undefined || body === null || body === "") {
+    return null;
+  }
+
+  return typeof body === "string"
+    ? { mimeType: "text/plain", text: body }
+    : { mimeType: "application/json", text: JSON.stringify(body) };
+}
+
+function parseBody(content) {
+  if (!content || content.text === undefined) {
+    return undefined;
+  }
+
+  if (content.mimeType && content.mimeType.includes("json")) {
+    try {
+      return JSON.parse(content.text);
+    } catch (err) {
+      // Recorded as-is: malformed JSON stays a string
+    }
+  }
+
+  return content.text;
+}
+
+/**
+ * Converts a captured entry into a HAR 1.2 entry.
+ */
+function toHarEntry({ source, startedDateTime, time, request, response }) {
+  const url = new URL(request.url);
+  const requestBody = serializeBody(request.body);
+  const responseBody = serializeBody(response.body) || {
+    mimeType: "",
+    text: "",
+  };
+
+  return {
+    startedDateTime,
+    time,
+    request: {
+      method: request.method,
+      url: request.url,
+      httpVersion: "HTTP/1.1",
+      headers: toHarHeaders(request.headers),
+      queryString: [...url.searchParams].map(([name, value]) => ({
+        name,
+        value,
+      })),
+      cookies: [],
+      ...(requestBody && { postData: requestBody }),
+      headersSize: -1,
+      bodySize: requestBody ? requestBody.text.length : 0,
+    },
+    response: {
+      status: response.status,
+      statusText: response.statusText || "",
+      httpVersion: "HTTP/1.1",
+      headers: toHarHeaders(response.headers),
+      cookies: [],
+      content: {
+        size: responseBody.text.length,
+        mimeType:
+          (response.headers && response.headers["content-type"]) ||
+          responseBody.mimeType,
+        text: responseBody.text,
+      },
+      redirectURL: "",
+      headersSize: -1,
+      bodySize: responseBody.text.length,
+    },
+    cache: {},
+    timings: { send: 0, wait: time, receive: 0 },
+    _source: source,
+  };
+}
+
+/**
+ * Converts a HAR entry back into the simplified shape used by the support file.
+ */
+function fromHarEntry(entry) {
+  return {
+    source: entry._source,
+    request: {
+      method: entry.request.method,
+      url: entry.request.url,
+      body: parseBody(entry.request.postData),
+    },
+    response: {
+      status: entry.response.status,
+      statusText: entry.response.statusText,
+      headers: fromHarHeaders(entry.response.headers),
+      body: parseBody(entry.response.content),
+    },
+  };
+}
+
+/**
+ * Creates the `har:save` and `har:load` tasks.
+ *
+ * @param {string} [recordingsDir] - Directory holding the `*.har` files.
+ */
+function harTasks(recordingsDir = DEFAULT_RECORDINGS_DIR) {
+  const harFile = (spec, dir) =>
+    path.join(
+      dir ? path.resolve(PROJECT_ROOT, dir) : recordingsDir,
+      harFileName(spec)
+    );
+
+  return {
+    "har:save"({ spec, dir, entries }) {
+      const file = harFile(spec, dir);
+      const har = {
+        log: {
+          version: "1.2",
+          creator: { name: "cypress-automation-playground", version: "1.0.0" },
+          comment: `Recorded from ${spec}`,
+          pages: [],
+          entries: entries.map(toHarEntry),
+        },
+      };
+
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, `${JSON.stringify(har, null, 2)}\n`);
+      return file;
+    },
+
+    "har:load"({ spec, dir }) {
+      const file = harFile(spec, dir);
+      if (!fs.existsSync(file)) {
+        // Tasks must not resolve with `undefined`
+        return null;
+      }
+
+      return JSON.parse(fs.readFileSync(file, "utf8")).log.entries.map(
+        fromHarEntry
+      );
+    },
+  };
+}
+
+module.exports = { harTasks };
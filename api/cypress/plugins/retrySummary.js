@@ -0,0 +1,95 @@
+/**
+ * @file Retry summary
+ * @description Node side of `cy.requestWithRetry()`. Collects every retry through
+ * the `recordRetry` task and, after the run, prints a summary and writes
+ * `cypress/reports/retry-summary.json`, so flaky infrastructure stays visible
+ * even when the tests end up passing.
+ *
+ * The `retrySummary:current` task yields the summary and its printed lines for
+ * the retries recorded so far, optionally only those of one test.
+ *
+ * @author Omar Rizk
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, "..", "reports");
+
+function buildSummary(retries) {
+  const byStatus = retries.reduce(
+    (counts, { status }) => ({
+      ...counts,
+      [status]: (counts[status] || 0) + 1,
+    }),
+    {}
+  );
+
+  return {
+    generatedAt: new Date().toISOString(),
+    totalRetries: retries.length,
+    totalDelayMs: retries.reduce((total, { delayMs }) => total + delayMs, 0),
+    byStatus,
+    retries,
+  };
+}
+
+/**
+ * The summary as printed at the end of the run, one entry per line.
+ */
+function summaryLines(summary) {
+  if (!summary.totalRetries) {
+    return ["Request retries: none"];
+  }
+
+  return [
+    `Request retries: ${summary.totalRetries} (${Object.entries(
+      summary.byStatus
+    )
+      .map(([status, count]) => `${count}x ${status}`)
+      .join(", ")}), ${summary.totalDelayMs}ms spent waiting`,
+    ...summary.retries.map(
+      ({ method, url, status, retry, test }) =>
+        `  - ${method} ${url} → ${status} (retry ${retry}) in "${test}"`
+    ),
+  ];
+}
+
+/**
+ * Registers the `recordRetry` and `retrySummary:current` tasks and writes the
+ * summary after the run.
+ *
+ * @param {Cypress.PluginEvents} on
+ * @param {object} [options]
+ * @param {string} [options.outputDir] - Where the summary is written.
+ */
+function retrySummary(on, { outputDir = DEFAULT_OUTPUT_DIR } = {}) {
+  const retries = [];
+
+  on("task", {
+    recordRetry(retry) {
+      retries.push(retry);
+      return null;
+    },
+
+    "retrySummary:current"({ test } = {}) {
+      const summary = buildSummary(
+        test ? retries.filter((retry) => retry.test === test) : retries
+      );
+      return { summary, lines: summaryLines(summary) };
+    },
+  });
+
+  on("after:run", () => {
+    const summary = buildSummary(retries);
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(outputDir, "retry-summary.json"),
+      JSON.stringify(summary, null, 2)
+    );
+    summaryLines(summary).forEach((line) => console.log(line));
+  });
+}
+
+module.exports = { retrySummary };
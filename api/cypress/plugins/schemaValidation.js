@@ -0,0 +1,119 @@
+/**
+ * @file JSON Schema validation task
+ * @description Node side of `cy.validateSchema()`. Loads every schema in
+ * `cypress/schemas` into a single Ajv instance (so schemas can `$ref` each other
+ * by `$id`) and validates response bodies against them.
+ *
+ * Instead of raw Ajv errors, the task returns one entry per offending path with
+ * the expected and actual value, which the command turns into a readable diff.
+ *
+ * @author Omar Rizk
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+
+const SCHEMAS_DIR = path.join(__dirname, "..", "schemas");
+
+/**
+ * Reads the value at a JSON pointer such as "/0/bookId".
+ */
+function valueAt(data, pointer) {
+  return pointer
+    .split("/")
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Converts a single Ajv error into a `{ path, expected, actual }` diff line.
+ */
+function toDiff(error, data) {
+  const path = error.instancePath || "/";
+  const actual = valueAt(data, error.instancePath);
+
+  switch (error.keyword) {
+    case "required":
+      return {
+        path: `${error.instancePath}/${error.params.missingProperty}`,
+        expected: "property to be present",
+        actual: "missing",
+      };
+    case "additionalProperties":
+      return {
+        path: `${error.instancePath}/${error.params.additionalProperty}`,
+        expected: "no such property",
+        actual: JSON.stringify(actual[error.params.additionalProperty]),
+      };
+    case "type":
+      return {
+        path,
+        expected: `type ${error.params.type}`,
+        actual: `${describeType(actual)} ${JSON.stringify(actual)}`,
+      };
+    case "enum":
+      return {
+        path,
+        expected: `one of ${JSON.stringify(error.params.allowedValues)}`,
+        actual: JSON.stringify(actual),
+      };
+    case "const":
+      return {
+        path,
+        expected: JSON.stringify(error.params.allowedValue),
+        actual: JSON.stringify(actual),
+      };
+    default:
+      return { path, expected: error.message, actual: JSON.stringify(actual) };
+  }
+}
+
+/**
+ * Creates the `validateSchema` task.
+ *
+ * @param {string} [schemasDir] - Directory holding the `*.json` schemas.
+ * @returns {{ validateSchema: (args: { schema: string, data: any }) => object[] }}
+ */
+function schemaValidationTasks(schemasDir = SCHEMAS_DIR) {
+  const ajv = new Ajv({ allErrors: true });
+
+  fs.readdirSync(schemasDir)
+    .filter((file) => file.endsWith(".json"))
+    .forEach((file) => {
+      const schema = JSON.parse(
+        fs.readFileSync(path.join(schemasDir, file), "utf8")
+      );
+      ajv.addSchema(schema, path.basename(file, ".json"));
+    });
+
+  return {
+    validateSchema({ schema, data }) {
+      const validate = ajv.getSchema(schema);
+      if (!validate) {
+        throw new Error(
+          `Unknown schema "${schema}". Available schemas: ${Object.keys(
+            ajv.schemas
+          )
+            .filter((key) => !key.startsWith("http"))
+            .join(", ")}`
+        );
+      }
+
+      // Tasks must not resolve with `undefined`, so always return an array
+      return validate(data)
+        ? []
+        : validate.errors.map((error) => toDiff(error, data));
+    },
+  };
+}
+
+module.exports = { schemaValidationTasks };
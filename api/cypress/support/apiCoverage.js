@@ -0,0 +1,32 @@
+/// <reference types="cypress" />
+
+/**
+ * @file API coverage recorder
+ * @description Overwrites `cy.request()` so every request made during the run,
+ * whether through the API commands or called directly, is sent to the
+ * `recordApiCall` task. The task builds the endpoint/status coverage report
+ * (see `cypress/plugins/apiCoverage.js`).
+ *
+ * Requests that fail because of `failOnStatusCode` never yield a response and
+ * are therefore not recorded; the failing test already reports them.
+ *
+ * @author Omar Rizk
+ */
+
+import { normalizeRequestArgs, resolveRequestUrl } from "./requestArgs";
+
+Cypress.Commands.overwrite("request", (originalFn, ...args) => {
+  const request = normalizeRequestArgs(args);
+  const { method } = request;
+  const url = resolveRequestUrl(request);
+
+  return originalFn(...args).then((response) => {
+    return cy
+      .task(
+        "recordApiCall",
+        { method, url, status: response.status, spec: Cypress.spec.relative },
+        { log: false }
+      )
+      .then(() => response);
+  });
+});
@@ -1,26 +1,212 @@
-// ***********************************************
-// This example commands.js shows you how to
-// create various custom commands and overwrite
-// existing commands.
-//
-// For more comprehensive examples of custom
-// commands please read more here:
-// https://on.cypress.io/custom-commands
-// ***********************************************
-//
-//
-// -- This is a parent command --
-// Cypress.Commands.add('login', (email, password) => { ... })
-//
-//
-// -- This is a child command --
-// Cypress.Commands.add('drag', { prevSubject: 'element'}, (subject, options) => { ... })
-//
-//
-// -- This is a dual command --
-// Cypress.Commands.add('dismiss', { prevSubject: 'optional'}, (subject, options) => { ... })
-//
-//
-// -- This will overwrite an existing command --
-// Cypress.Commands.overwrite('visit', (originalFn, url, options) => { ... })
 /// <reference types="cypress" />
+
+/**
+ * @file Simple Books API commands
+ * @description Reusable custom commands wrapping the Simple Books API endpoints.
+ *
+ * - `cy.apiRequest()` is the single entry point every other command goes through.
+ *   It resolves paths against the `apiBaseUrl` env value, attaches the bearer
+ *   token obtained by `cy.registerApiClient()` and logs one concise entry per call
+ *   (full request/response available by clicking it in the command log).
+ *   Transient 429/5xx responses are retried by `cy.requestWithRetry()`.
+ * - Every endpoint command accepts an `options` object:
+ *     - `failOnStatusCode` (default `true`) - set to `false` to assert on 4xx/5xx
+ *     - `auth` (default `true`) - set to `false` to send the request without a token
+ *     - `token` - use a specific token instead of the registered one
+ * - `cy.validateSchema(body, name)` checks a response body against
+ *   `cypress/schemas/<name>.json` and fails with a path-level diff.
+ *
+ * @example
+ * cy.registerApiClient();
+ * cy.createOrder({ bookId: 1, customerName: "John Doe" }).then((response) => {
+ *   cy.getOrder(response.body.orderId);
+ * });
+ *
+ * @author Omar Rizk
+ */
+
+// Access token of the most recently registered API client (shared by all tests in a spec)
+let authToken = null;
+
+/**
+ * Returns the access token of the most recently registered API client.
+ */
+export function getAuthToken() {
+  return authToken;
+}
+
+/**
+ * Sends a request to the Simple Books API.
+ *
+ * @param {object} request
+ * @param {string} [request.method="GET"]
+ * @param {string} request.path - Path relative to `apiBaseUrl`, e.g. "/orders".
+ * @param {object} [request.body]
+ * @param {object} [request.qs] - Query string parameters.
+ * @param {boolean} [request.auth=true] - Attach the bearer token.
+ * @param {string} [request.token] - Token to use instead of the registered one.
+ * @param {boolean} [request.failOnStatusCode=true]
+ * @param {boolean} [request.retryNonIdempotent=false] - Allow retrying POST/PATCH on 429/5xx.
+ */
+Cypress.Commands.add(
+  "apiRequest",
+  ({
+    method = "GET",
+    path,
+    body,
+    qs,
+    auth = true,
+    token,
+    failOnStatusCode = true,
+    retryNonIdempotent = false,
+  }) => {
+    const headers = {};
+    const bearer = token || authToken;
+
+    if (auth && bearer) {
+      headers.Authorization = `Bearer ${bearer}`;
+    }
+
+    const log = Cypress.log({
+      name: "api",
+      message: `${method} ${path}`,
+      autoEnd: false,
+    });
+
+    return cy
+      .requestWithRetry({
+        method,
+        url: `${Cypress.env("apiBaseUrl")}${path}`,
+        headers,
+        body,
+        qs,
+        failOnStatusCode,
+        retryNonIdempotent,
+        log: false,
+      })
+      .then((response) => {
+        log.set({
+          message: `${method} ${path} → ${response.status}`,
+          consoleProps: () => ({
+            Request: { method, path, qs, headers, body },
+            Status: response.status,
+            "Response Body": response.body,
+          }),
+        });
+        log.end();
+
+        return response;
+      });
+  }
+);
+
+/**
+ * Registers a new API client and stores its access token for later requests.
+ * A unique email is generated unless one is provided.
+ */
+Cypress.Commands.add("registerApiClient", (client = {}, options = {}) => {
+  return cy
+    .apiRequest({
+      method: "POST",
+      path: "/api-clients/",
+      body: {
+        clientName: "CypressTestClient",
+        clientEmail: `test${Date.now()}@example.com`, // Unique email to avoid conflicts
+        ...client,
+      },
+      auth: false,
+      ...options,
+    })
+    .then((response) => {
+      if (response.status === 201) {
+        authToken = response.body.accessToken;
+      }
+
+      return response;
+    });
+});
+
+Cypress.Commands.add("getApiStatus", (options = {}) => {
+  return cy.apiRequest({ path: "/status", ...options });
+});
+
+/**
+ * @param {{ type?: string, limit?: number }} [filters]
+ */
+Cypress.Commands.add("getBooks", (filters = {}, options = {}) => {
+  return cy.apiRequest({ path: "/books", qs: filters, ...options });
+});
+
+Cypress.Commands.add("getBook", (bookId, options = {}) => {
+  return cy.apiRequest({ path: `/books/${bookId}`, ...options });
+});
+
+/**
+ * @param {{ bookId?: number, customerName?: string }} order
+ */
+Cypress.Commands.add("createOrder", (order, options = {}) => {
+  return cy.apiRequest({
+    method: "POST",
+    path: "/orders",
+    body: order,
+    ...options,
+  });
+});
+
+Cypress.Commands.add("getOrders", (options = {}) => {
+  return cy.apiRequest({ path: "/orders", ...options });
+});
+
+Cypress.Commands.add("getOrder", (orderId, options = {}) => {
+  return cy.apiRequest({ path: `/orders/${orderId}`, ...options });
+});
+
+/**
+ * @param {string} orderId
+ * @param {{ customerName?: string }} changes
+ */
+Cypress.Commands.add("updateOrder", (orderId, changes, options = {}) => {
+  return cy.apiRequest({
+    method: "PATCH",
+    path: `/orders/${orderId}`,
+    body: changes,
+    ...options,
+  });
+});
+
+Cypress.Commands.add("deleteOrder", (orderId, options = {}) => {
+  return cy.apiRequest({
+    method: "DELETE",
+    path: `/orders/${orderId}`,
+    ...options,
+  });
+});
+
+/**
+ * Asserts that `data` matches the JSON schema `cypress/schemas/<schema>.json`.
+ * On failure every offending path is listed with its expected and actual value.
+ *
+ * @example
+ * cy.getOrder(orderId).then((response) => cy.validateSchema(response.body, "order"));
+ */
+Cypress.Commands.add("validateSchema", (data, schema) => {
+  return cy
+    .task("validateSchema", { schema, data }, { log: false })
+    .then((errors) => {
+      Cypress.log({
+        name: "schema",
+        message: `${schema} ${errors.length ? "✗" : "✓"}`,
+        consoleProps: () => ({ Schema: schema, Data: data, Errors: errors }),
+      });
+
+      const diff = errors
+        .map(
+          ({ path, expected, actual }) =>
+            `  ${path}: expected ${expected}, got ${actual}`
+        )
+        .join("\n");
+
+      expect(errors, `Response does not match schema "${schema}":\n${diff}`).to
+        .be.empty;
+    });
+});
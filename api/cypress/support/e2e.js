@@ -14,4 +14,10 @@
 // ***********************************************************
 
 // Import commands.js using ES2015 syntax:
-import './commands'
\ No newline at end of file
+import './commands'
+import './retry'
+import './har'
+import './orderFactory'
+import './apiCoverage'
+import './libraryMocks'
+import './faults'
@@ -0,0 +1,152 @@
+/// <reference types="cypress" />
+
+/**
+ * @file Network fault injection
+ * @description Commands to see how the UI copes with real-world network failures.
+ *
+ * `cy.injectFault(routeMatcher, fault)` degrades matching requests:
+ * - `latency`           - delay the response by N ms
+ * - `dropConnection`    - destroy the request, as if the network went away
+ * - `statusCode`        - answer with this error status instead
+ * - `truncatedBody`     - cut the response body in half (unparsable JSON)
+ * - `intermittentEvery` - only fault every Nth matching request (default: every one)
+ *
+ * Faults are installed as middleware, so they apply on top of whatever answers the
+ * request: the real backend, a `cy.mockLibrary()` scenario or a HAR replay.
+ *
+ * `cy.assertUiState(state)` is the companion assertion. It checks the `loading`,
+ * `empty`, `error` and `loaded` states described in `cypress/fixtures/ui-states.json`.
+ * The loading and error states rely on the indicator and alert of the offline
+ * replica; the live app has neither.
+ *
+ * Chaos mode: any spec can be run with faults from the env, without code changes:
+ * - `--env chaos=slowLibrary` loads `cypress/fixtures/faults/slowLibrary.json`
+ * - `--env faults='[{"route":"**\/GetBook.php*","latency":3000}]'` for ad-hoc faults
+ *
+ * @example
+ * cy.mockLibrary("manyBooks");
+ * cy.injectFault({ pathname: "/Library/GetBook.php" }, { statusCode: 503 });
+ * cy.get(".btn-primary").click();
+ * cy.assertUiState("error");
+ *
+ * @author Omar Rizk
+ */
+
+/**
+ * @param {string|object} routeMatcher - URL glob or RouteMatcher, as for `cy.intercept()`.
+ * @param {object} [fault]
+ * @param {number} [fault.latency=0]
+ * @param {boolean} [fault.dropConnection=false]
+ * @param {number} [fault.statusCode]
+ * @param {boolean} [fault.truncatedBody=false]
+ * @param {number} [fault.intermittentEvery=1]
+ * @param {string} [fault.alias="fault"] - Alias given to the intercept.
+ */
+Cypress.Commands.add("injectFault", (routeMatcher, fault = {}) => {
+  const {
+    latency = 0,
+    dropConnection = false,
+    statusCode,
+    truncatedBody = false,
+    intermittentEvery = 1,
+    alias = "fault",
+  } = fault;
+  const matcher =
+    typeof routeMatcher === "string" ? { url: routeMatcher } : routeMatcher;
+  let requestCount = 0;
+
+  Cypress.log({
+    name: "injectFault",
+    message: JSON.stringify({
+      latency,
+      dropConnection,
+      statusCode,
+      truncatedBody,
+      intermittentEvery,
+    }),
+  });
+
+  return cy
+    .intercept({ ...matcher, middleware: true }, (req) => {
+      requestCount += 1;
+
+      // Requests in between intermittent faults go through untouched
+      if (requestCount % intermittentEvery !== 0) {
+        return;
+      }
+
+      if (dropConnection) {
+        req.destroy();
+        return;
+      }
+
+      if (statusCode) {
+        req.reply({
+          statusCode,
+          body: { error: "Injected fault" },
+          delay: latency,
+        });
+        return;
+      }
+
+      req.on("response", (res) => {
+        if (latency) {
+          res.setDelay(latency);
+        }
+
+        if (truncatedBody) {
+          const text =
+            typeof res.body === "string" ? res.body : JSON.stringify(res.body);
+          res.send(text.slice(0, Math.floor(text.length / 2)));
+        }
+      });
+    })
+    .as(alias);
+});
+
+/**
+ * Asserts the UI is in one of the states described in `cypress/fixtures/ui-states.json`.
+ *
+ * @param {"loading"|"empty"|"error"|"loaded"} state
+ * @param {object} [options]
+ * @param {string} [options.page="library"] - Page whose states to use.
+ */
+Cypress.Commands.add("assertUiState", (state, { page = "library" } = {}) => {
+  return cy.fixture("ui-states").then((uiStates) => {
+    const checks = uiStates[page] && uiStates[page][state];
+    if (!checks) {
+      throw new Error(`Unknown UI state "${state}" for page "${page}"`);
+    }
+
+    Cypress.log({ name: "uiState", message: `${page}: ${state}` });
+    checks.forEach(({ selector, assertion, value }) => {
+      if (value === undefined) {
+        cy.get(selector).should(assertion);
+      } else {
+        cy.get(selector).should(assertion, value);
+      }
+    });
+  });
+});
+
+// Chaos mode: install the faults configured in the env before every test
+beforeEach(() => {
+  const { chaos, faults } = Cypress.env();
+  if (!chaos && !faults) {
+    return;
+  }
+
+  const configured = chaos
+    ? cy.fixture(`faults/${chaos}`)
+    : cy.wrap(faults, { log: false });
+  configured.then((list) => {
+    // `--env faults=...` may arrive as a JSON string
+    const parsed = typeof list === "string" ? JSON.parse(list) : list;
+
+    (Array.isArray(parsed) ? parsed : [parsed]).forEach(
+      ({ route, ...fault }, index) => {
+        cy.injectFault(route, { alias: `chaos${index}`, ...fault });
+      }
+    );
+  });
+});
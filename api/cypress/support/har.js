@@ -0,0 +1,326 @@
+/// <reference types="cypress" />
+
+/**
+ * @file HAR record & replay
+ * @description Records or replays the network traffic of each spec, selected
+ * with the `harMode` env value:
+ *
+ * - `record` - run against the live services (`--env target=live,harMode=record`).
+ *   Every `cy.request()` and every XHR/fetch call the page makes to another
+ *   origin is captured and saved to `cypress/recordings/<spec>.har` after the spec.
+ * - `replay` - `--env harMode=replay`. Nothing reaches the network: the same calls
+ *   are answered from the spec's HAR file. A call without a recording fails the
+ *   test with the method, URL and body that could not be matched. No recordings
+ *   are checked in, so record them first (`npm run har:record`).
+ * - unset   - no recording, no replay.
+ *
+ * The mode is read for every test, so a suite can set it with its own `env`
+ * config; `harDir` (relative to the project root) then overrides where its
+ * recordings live. `cy.saveHar()` writes what has been captured so far and
+ * yields the file path (see `api_har.cy.js`).
+ *
+ * Calls are matched on method, URL (origin and path), query string (in any
+ * order) and body. Top-level body fields listed in the `harIgnoreFields` env
+ * value (e.g. generated emails) are left out of the comparison. Identical calls
+ * are answered in the order they were recorded.
+ *
+ * Routes a test stubs itself with `cy.intercept()` take precedence, so mocked
+ * responses are neither recorded nor replayed. Routes a test passes through with
+ * `req.continue()` still reach the network.
+ *
+ * @author Omar Rizk
+ */
+
+import { normalizeRequestArgs, resolveRequestUrl } from "./requestArgs";
+
+const harMode = () => Cypress.env("harMode");
+
+// Headers describing the original transfer; replaying them would corrupt the body
+const TRANSFER_HEADERS = [
+  "content-encoding",
+  "content-length",
+  "transfer-encoding",
+  "connection",
+];
+
+// Record: captured entries. Replay: entries loaded from the spec's HAR file
+let entries = [];
+let loaded = false;
+const replayedIndexes = new Set();
+
+/**
+ * Serializes a body with sorted keys and without the ignored fields.
+ */
+function canonicalBody(body) {
+  let value = body;
+
+  if (value === undefined || value === null || value === "") {
+    return "";
+  }
+  if (typeof value === "string") {
+    try {
+      value = JSON.parse(value);
+    } catch (err) {
+      return value;
+    }
+  }
+  if (typeof value !== "object" || value === null) {
+    return JSON.stringify(value);
+  }
+
+  const ignored = Cypress.env("harIgnoreFields") || [];
+  const sortKeys = (item) =>
+    Array.isArray(item)
+      ? item.map(sortKeys)
+      : item && typeof item === "object"
+        ? Object.keys(item)
+            .sort()
+            .reduce(
+              (result, key) => ({ ...result, [key]: sortKeys(item[key]) }),
+              {}
+            )
+        : item;
+
+  const withoutIgnored = Array.isArray(value)
+    ? value
+    : Object.fromEntries(
+        Object.entries(value).filter(([key]) => !ignored.includes(key))
+      );
+
+  return JSON.stringify(sortKeys(withoutIgnored));
+}
+
+function matchKey({ method, url, body }) {
+  const parsed = new URL(url);
+  const query = [...parsed.searchParams]
+    .map(([key, value]) => `${key}=${value}`)
+    .sort()
+    .join("&");
+  const pathname = parsed.pathname.replace(/\/+$/, "") || "/";
+
+  return `${method.toUpperCase()} ${parsed.origin}${pathname}?${query} ${canonicalBody(body)}`;
+}
+
+/**
+ * Finds the next unused recording for a call. Once every matching recording has
+ * been replayed, the last one keeps answering.
+ */
+function findRecording(call) {
+  const key = matchKey(call);
+  const candidates = entries
+    .map((entry, index) => ({ entry, index }))
+    .filter(({ entry }) => matchKey(entry.request) === key);
+
+  if (!candidates.length) {
+    return null;
+  }
+
+  const next =
+    candidates.find(({ index }) => !replayedIndexes.has(index)) ||
+    candidates[candidates.length - 1];
+  replayedIndexes.add(next.index);
+
+  return next.entry.response;
+}
+
+function unmatchedError({ method, url, body }) {
+  const bodyText = canonicalBody(body);
+
+  return new Error(
+    `HAR replay: no recorded response for ${method} ${url}` +
+      `${bodyText ? ` with body ${bodyText}` : ""} in ${Cypress.spec.relative}.\n` +
+      "Re-record the spec with `--env target=live,harMode=record`."
+  );
+}
+
+// XHR/fetch calls to other origins than the app under test, i.e. backend services
+function isServiceCall(req) {
+  const appOrigin = new URL(Cypress.config("baseUrl") || window.location.origin)
+    .origin;
+  return (
+    ["xhr", "fetch"].includes(req.resourceType) &&
+    new URL(req.url).origin !== appOrigin
+  );
+}
+
+function recordRequest(originalFn, args) {
+  const request = normalizeRequestArgs(args);
+  const startedDateTime = new Date().toISOString();
+
+  return originalFn(...args).then((response) => {
+    entries.push({
+      source: "cy.request",
+      startedDateTime,
+      time: response.duration,
+      request: {
+        method: request.method,
+        url: resolveRequestUrl(request),
+        headers: request.headers,
+        body: request.body,
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        body: response.body,
+      },
+    });
+
+    return response;
+  });
+}
+
+function replayRequest(args) {
+  const request = normalizeRequestArgs(args);
+  const call = {
+    method: request.method,
+    url: resolveRequestUrl(request),
+    body: request.body,
+  };
+  const response = findRecording(call);
+
+  if (!response) {
+    throw unmatchedError(call);
+  }
+
+  const isOkStatusCode = response.status >= 200 && response.status < 400;
+  if (!isOkStatusCode && request.failOnStatusCode !== false) {
+    throw new Error(
+      `cy.request() failed on ${call.method} ${call.url}: the recorded response was ${response.status} ${response.statusText}.`
+    );
+  }
+
+  if (request.log !== false) {
+    Cypress.log({
+      name: "request",
+      message: `${call.method} ${response.status} ${call.url} (HAR)`,
+    });
+  }
+
+  return cy.wrap(
+    {
+      ...response,
+      duration: 0,
+      isOkStatusCode,
+      requestHeaders: request.headers || {},
+      requestBody: request.body,
+      allRequestResponses: [],
+    },
+    { log: false }
+  );
+}
+
+function recordServiceCall(req) {
+  if (!isServiceCall(req)) {
+    return;
+  }
+
+  const startedAt = Date.now();
+  const startedDateTime = new Date(startedAt).toISOString();
+
+  req.continue((res) => {
+    entries.push({
+      source: "cy.intercept",
+      startedDateTime,
+      time: Date.now() - startedAt,
+      request: {
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: req.body,
+      },
+      response: {
+        status: res.statusCode,
+        statusText: res.statusMessage,
+        headers: res.headers,
+        body: res.body,
+      },
+    });
+  });
+}
+
+function replayServiceCall(req) {
+  if (!isServiceCall(req)) {
+    return;
+  }
+
+  const call = { method: req.method, url: req.url, body: req.body };
+  const response = findRecording(call);
+
+  if (!response) {
+    throw unmatchedError(call);
+  }
+
+  const headers = Object.fromEntries(
+    Object.entries(response.headers).filter(
+      ([name]) => !TRANSFER_HEADERS.includes(name.toLowerCase())
+    )
+  );
+  req.reply({ statusCode: response.status, headers, body: response.body });
+}
+
+Cypress.Commands.overwrite("request", (originalFn, ...args) => {
+  if (harMode() === "record") {
+    return recordRequest(originalFn, args);
+  }
+  if (harMode() === "replay") {
+    return replayRequest(args);
+  }
+
+  return originalFn(...args);
+});
+
+/**
+ * Writes the traffic recorded so far to the spec's HAR file and yields its path.
+ */
+Cypress.Commands.add("saveHar", () =>
+  cy
+    .task(
+      "har:save",
+      { spec: Cypress.spec.relative, dir: Cypress.env("harDir"), entries },
+      { log: false }
+    )
+    .then((file) => {
+      Cypress.log({
+        name: "har",
+        message: `saved ${entries.length} entries to ${file}`,
+      });
+      return file;
+    })
+);
+
+beforeEach(() => {
+  if (harMode() === "record") {
+    cy.intercept({ url: /.*/ }, recordServiceCall);
+    return;
+  }
+  if (harMode() !== "replay") {
+    return;
+  }
+
+  if (!loaded) {
+    cy.task(
+      "har:load",
+      { spec: Cypress.spec.relative, dir: Cypress.env("harDir") },
+      { log: false }
+    ).then((recorded) => {
+      if (!recorded) {
+        throw new Error(
+          `HAR replay: no recording found for ${Cypress.spec.relative}.\n` +
+            "Record it first with `--env target=live,harMode=record`."
+        );
+      }
+
+      entries = recorded;
+      loaded = true;
+      replayedIndexes.clear();
+    });
+  }
+  cy.intercept({ url: /.*/ }, replayServiceCall);
+});
+
+after(() => {
+  if (harMode() === "record" && entries.length) {
+    cy.saveHar();
+  }
+});
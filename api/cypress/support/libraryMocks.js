@@ -0,0 +1,42 @@
+/// <reference types="cypress" />
+
+/**
+ * @file Library GetBook scenarios
+ * @description `cy.mockLibrary(scenario)` stubs the Library GetBook.php endpoint
+ * used by the Angular library demo with a named scenario from
+ * `cypress/fixtures/library/<scenario>.json`.
+ *
+ * Each fixture is a Cypress StaticResponse (`statusCode`, `body`, optional
+ * `headers` and `delay`). Available scenarios:
+ * - emptyList, singleBook, manyBooks  - successful responses
+ * - forbidden (403), serverError (500) - error responses
+ * - malformedJson                      - 200 with an unparsable JSON body
+ * - slowResponse                       - 200 delayed by 3 seconds
+ *
+ * @example
+ * cy.mockLibrary("singleBook");
+ * cy.get(".btn-primary").click();
+ * cy.wait("@getBook");
+ *
+ * @author Omar Rizk
+ */
+
+// Matches GetBook.php for any AuthorName
+const GET_BOOK_ROUTE = { method: "GET", pathname: "/Library/GetBook.php" };
+
+/**
+ * @param {string} scenario - Fixture name in `cypress/fixtures/library`.
+ * @param {object} [options]
+ * @param {string} [options.alias="getBook"] - Alias given to the intercept.
+ * @param {object} [options.response] - Overrides merged into the StaticResponse.
+ */
+Cypress.Commands.add(
+  "mockLibrary",
+  (scenario, { alias = "getBook", response = {} } = {}) => {
+    return cy.fixture(`library/${scenario}`).then((staticResponse) => {
+      cy.intercept(GET_BOOK_ROUTE, { ...staticResponse, ...response }).as(
+        alias
+      );
+    });
+  }
+);
@@ -0,0 +1,51 @@
+/// <reference types="cypress" />
+
+/**
+ * @file Order factory
+ * @description Per-test order creation with automatic teardown.
+ *
+ * `cy.createTestOrder()` creates an order for the current API client and
+ * registers it for deletion. The global `afterEach` below deletes every
+ * registered order, even when the test failed, so tests never depend on orders
+ * created by other tests and the API is not left with orphaned orders.
+ *
+ * @example
+ * cy.createTestOrder({ customerName: "Jane Doe" }).then((response) => {
+ *   cy.getOrder(response.body.orderId);
+ * });
+ *
+ * @author Omar Rizk
+ */
+
+import { getAuthToken } from "./commands";
+
+const DEFAULT_ORDER = { bookId: 1, customerName: "John Doe" };
+
+// Orders created by the running test: { orderId, token }
+const createdOrders = [];
+
+/**
+ * Creates an order (defaults merged with `overrides`) and registers it for teardown.
+ * Yields the POST /orders response, like `cy.createOrder()`.
+ */
+Cypress.Commands.add("createTestOrder", (overrides = {}, options = {}) => {
+  return cy
+    .createOrder({ ...DEFAULT_ORDER, ...overrides }, options)
+    .then((response) => {
+      if (response.status === 201) {
+        createdOrders.push({
+          orderId: response.body.orderId,
+          token: options.token || getAuthToken(),
+        });
+      }
+
+      return response;
+    });
+});
+
+afterEach(() => {
+  // Orders the test already deleted answer 404, which is fine here
+  createdOrders.splice(0).forEach(({ orderId, token }) => {
+    cy.deleteOrder(orderId, { token, failOnStatusCode: false });
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * @file cy.request() argument helpers
+ * @description Shared by the `cy.request()` overwrites (coverage recorder,
+ * HAR record/replay), which all need to understand the call regardless of the
+ * signature it was made with.
+ *
+ * @author Omar Rizk
+ */
+
+/**
+ * Normalizes the different `cy.request()` signatures into a single options object:
+ * (url), (url, body), (method, url), (method, url, body) and (options).
+ *
+ * @returns {{ method: string, url: string, body?: any, qs?: object, headers?: object, failOnStatusCode?: boolean }}
+ */
+export function normalizeRequestArgs(args) {
+  if (typeof args[0] === "object") {
+    return { ...args[0], method: (args[0].method || "GET").toUpperCase() };
+  }
+
+  if (args.length > 1 && /^[A-Z]+$/.test(args[0])) {
+    return { method: args[0], url: args[1], body: args[2] };
+  }
+
+  return { method: "GET", url: args[0], body: args[1] };
+}
+
+/**
+ * Resolves the request URL the way Cypress does (relative URLs against baseUrl)
+ * and appends the `qs` option.
+ */
+export function resolveRequestUrl({ url, qs }) {
+  const resolved = new URL(
+    url,
+    Cypress.config("baseUrl") || window.location.origin
+  );
+
+  Object.entries(qs || {}).forEach(([key, value]) => {
+    if (value !== undefined) {
+      resolved.searchParams.append(key, value);
+    }
+  });
+
+  return resolved.href;
+}
@@ -0,0 +1,107 @@
+/// <reference types="cypress" />
+
+/**
+ * @file Retry-aware requests
+ * @description `cy.requestWithRetry(options)` wraps `cy.request()` so transient
+ * infrastructure failures (429 and 5xx from the public API) do not fail tests
+ * that have nothing to do with them.
+ *
+ * - Only idempotent methods are retried. POST and PATCH are never retried unless
+ *   the call opts in with `retryNonIdempotent: true`.
+ * - A `Retry-After` header (seconds or HTTP date) is honoured; otherwise, or when
+ *   it is neither, the delay grows exponentially from `retry.baseDelayMs`.
+ * - The budget comes from the `retry` env value:
+ *   `{ maxRetries, baseDelayMs, maxDelayMs }` (a single wait never exceeds maxDelayMs).
+ *
+ * Retries are not hidden: each one gets a command log entry and is reported to the
+ * `recordRetry` task, which prints a run summary and writes
+ * `cypress/reports/retry-summary.json` (see `cypress/plugins/retrySummary.js`).
+ *
+ * Network-level failures are retried by `cy.request()` itself (`retryOnNetworkFailure`).
+ *
+ * @author Omar Rizk
+ */
+
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+const DEFAULT_BUDGET = { maxRetries: 3, baseDelayMs: 500, maxDelayMs: 10000 };
+
+function isTransientFailure(status) {
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+/**
+ * Delay before the next attempt: Retry-After when present, exponential backoff otherwise.
+ */
+function retryDelay(response, retryNumber, { baseDelayMs, maxDelayMs }) {
+  const retryAfter = response.headers && response.headers["retry-after"];
+  let delay = baseDelayMs * 2 ** (retryNumber - 1);
+
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    const retryAfterMs = Number.isNaN(seconds)
+      ? Date.parse(retryAfter) - Date.now()
+      : seconds * 1000;
+
+    // Neither seconds nor an HTTP date: keep the backoff
+    if (!Number.isNaN(retryAfterMs)) {
+      delay = retryAfterMs;
+    }
+  }
+
+  return Math.min(Math.max(delay, 0), maxDelayMs);
+}
+
+/**
+ * @param {object} options - Same options as `cy.request(options)`, plus:
+ * @param {boolean} [options.retryNonIdempotent=false] - Allow retrying POST/PATCH.
+ */
+Cypress.Commands.add("requestWithRetry", (options) => {
+  const { retryNonIdempotent = false, ...request } = options;
+  const method = (request.method || "GET").toUpperCase();
+  const failOnStatusCode = request.failOnStatusCode !== false;
+  const budget = { ...DEFAULT_BUDGET, ...Cypress.env("retry") };
+  const canRetry = retryNonIdempotent || IDEMPOTENT_METHODS.includes(method);
+
+  const attempt = (retryNumber) =>
+    cy.request({ ...request, failOnStatusCode: false }).then((response) => {
+      const retriesLeft = retryNumber < budget.maxRetries;
+
+      if (!canRetry || !retriesLeft || !isTransientFailure(response.status)) {
+        if (failOnStatusCode && !response.isOkStatusCode) {
+          throw new Error(
+            `cy.request() failed on ${method} ${request.url}` +
+              `${retryNumber ? ` after ${retryNumber} retries` : ""}: ` +
+              `${response.status} ${response.statusText || ""}\n\n` +
+              `Response body: ${JSON.stringify(response.body)}`
+          );
+        }
+
+        return response;
+      }
+
+      const nextRetry = retryNumber + 1;
+      const delay = retryDelay(response, nextRetry, budget);
+      const retry = {
+        method,
+        url: request.url,
+        status: response.status,
+        retry: nextRetry,
+        delayMs: delay,
+        spec: Cypress.spec.relative,
+        test: Cypress.currentTest.titlePath.join(" > "),
+      };
+
+      Cypress.log({
+        name: "retry",
+        message: `${method} ${request.url} → ${response.status}, retry ${nextRetry}/${budget.maxRetries} in ${delay}ms`,
+        consoleProps: () => ({ ...retry, "Response Body": response.body }),
+      });
+
+      return cy
+        .task("recordRetry", retry, { log: false })
+        .then(() => cy.wait(delay, { log: false }))
+        .then(() => attempt(nextRetry));
+    });
+
+  return attempt(0);
+});
@@ -0,0 +1,85 @@
+/**
+ * Behaviour of the Angular library demo, reproduced without Angular:
+ * clicking "Virtual Library" shows the dashboard and loads the books.
+ *
+ * The live app gives no visible feedback while loading or on failure. The replica
+ * shows a loading indicator while the request is pending and an error alert when
+ * it fails or the body cannot be parsed (rendered books stay), so the fault
+ * injection specs can tell the states apart.
+ */
+(function () {
+  var GET_BOOK_URL =
+    "https://rahulshettyacademy.com/Library/GetBook.php?AuthorName=shetty";
+
+  var dashboard = document.querySelector("app-library-dashboard");
+  var tbody = dashboard.querySelector("tbody");
+  var message = null;
+  // Loading indicator or error alert, shown above the table
+  var status = null;
+
+  function showStatus(className, role, text) {
+    clearStatus();
+    status = document.createElement("div");
+    status.className = className;
+    status.setAttribute("role", role);
+    status.textContent = text;
+    dashboard.insertBefore(status, dashboard.querySelector("table"));
+  }
+
+  function clearStatus() {
+    if (status) {
+      status.remove();
+      status = null;
+    }
+  }
+
+  function renderBooks(books) {
+    tbody.innerHTML = "";
+
+    books.forEach(function (book) {
+      var row = document.createElement("tr");
+      [book.book_name, book.isbn, book.aisle].forEach(function (value) {
+        var cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    });
+
+    // Like *ngIf, the message only exists in the DOM for exactly one book
+    if (message) {
+      message.remove();
+      message = null;
+    }
+    if (books.length === 1) {
+      message = document.createElement("p");
+      message.textContent = "Oops only 1 Book available";
+      dashboard.appendChild(message);
+    }
+  }
+
+  document.querySelector(".btn-primary").addEventListener("click", function () {
+    dashboard.hidden = false;
+    showStatus("loading-indicator", "status", "Loading books...");
+
+    fetch(GET_BOOK_URL)
+      .then(function (response) {
+        if (!response.ok) {
+          throw new Error("GetBook.php responded with " + response.status);
+        }
+        return response.json();
+      })
+      .then(function (books) {
+        clearStatus();
+        renderBooks(books);
+      })
+      .catch(function (error) {
+        console.error(error);
+        showStatus(
+          "alert alert-danger",
+          "alert",
+          "Could not load the books. Please try again."
+        );
+      });
+  });
+})();
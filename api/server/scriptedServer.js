@@ -0,0 +1,72 @@
+/**
+ * @file Scripted responses server
+ * @description Answers every request with the next response of a script, so
+ * specs can make `cy.request()` hit transient failures (429, 503, ...) that the
+ * local Simple Books API never returns. `cy.intercept()` cannot do this: it only
+ * sees the browser's traffic, not `cy.request()`.
+ *
+ * Tasks (see `scriptedTasks`):
+ * - `scripted:respond` - replaces the script with a list of
+ *   `{ status, headers?, body? }` and resets the request log
+ * - `scripted:requests` - yields the requests received since then
+ *   (`{ method, url }`)
+ *
+ * Once the script is used up, requests get `200 {}`.
+ *
+ * @author Omar Rizk
+ */
+
+const http = require("http");
+
+/**
+ * Starts a scripted server.
+ *
+ * @param {object} [options]
+ * @param {number} [options.port=0] - Port to listen on; 0 picks a free port.
+ * @returns {Promise<{ server: http.Server, url: string, tasks: object }>}
+ */
+function startScriptedServer({ port = 0 } = {}) {
+  let script = [];
+  let requests = [];
+
+  const server = http.createServer((req, res) => {
+    const { status = 200, headers = {}, body = {} } = script.shift() || {};
+    const payload = JSON.stringify(body);
+
+    requests.push({ method: req.method, url: req.url });
+    // Drain the request body before answering
+    req.resume();
+    req.on("end", () => {
+      res.writeHead(status, {
+        "Content-Type": "application/json; charset=utf-8",
+        ...headers,
+      });
+      res.end(payload);
+    });
+  });
+
+  const tasks = {
+    "scripted:respond"(responses) {
+      script = [...responses];
+      requests = [];
+      return null;
+    },
+
+    "scripted:requests"() {
+      return requests;
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => {
+      resolve({
+        server,
+        url: `http://127.0.0.1:${server.address().port}`,
+        tasks,
+      });
+    });
+  });
+}
+
+module.exports = { startScriptedServer };
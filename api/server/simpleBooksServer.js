@@ -0,0 +1,414 @@
+/**
+ * @file Local Simple Books API
+ * @description A dependency-free Node implementation of the public Simple Books API
+ * (https://simple-books-api.glitch.me) so the API suite can run offline.
+ *
+ * It mirrors the endpoints exercised by `api_requests.cy.js`:
+ * - GET    /status
+ * - GET    /books?type=&limit=
+ * - GET    /books/:bookId
+ * - POST   /api-clients/
+ * - POST   /orders
+ * - GET    /orders
+ * - GET    /orders/:orderId
+ * - PATCH  /orders/:orderId
+ * - DELETE /orders/:orderId
+ *
+ * State (registered clients and orders) lives in memory and is reset every time
+ * a server is created.
+ *
+ * Usage:
+ * - From Cypress: `startSimpleBooksServer()` is called from `setupNodeEvents`.
+ * - Standalone:   `npm run api:server` (listens on PORT, default 3001).
+ *
+ * @author Omar Rizk
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+const BOOK_TYPES = ["fiction", "non-fiction"];
+const MAX_LIMIT = 20;
+
+// Catalogue served by the public API
+const BOOKS = [
+  {
+    id: 1,
+    name: "The Russian",
+    author: "James Patterson and James O. Born",
+    isbn: "1780899475",
+    type: "fiction",
+    price: 12.98,
+    "current-stock": 12,
+    available: true,
+  },
+  {
+    id: 2,
+    name: "Just as I Am",
+    author: "Cicely Tyson",
+    isbn: "0062931083",
+    type: "non-fiction",
+    price: 20.33,
+    "current-stock": 0,
+    available: false,
+  },
+  {
+    id: 3,
+    name: "The Vanishing Half",
+    author: "Brit Bennett",
+    isbn: "0525536299",
+    type: "fiction",
+    price: 16.2,
+    "current-stock": 987,
+    available: true,
+  },
+  {
+    id: 4,
+    name: "The Midnight Library",
+    author: "Matt Haig",
+    isbn: "0525559477",
+    type: "fiction",
+    price: 15.6,
+    "current-stock": 87,
+    available: true,
+  },
+  {
+    id: 5,
+    name: "Untamed",
+    author: "Glennon Doyle",
+    isbn: "1984801252",
+    type: "non-fiction",
+    price: 18.27,
+    "current-stock": 24,
+    available: true,
+  },
+  {
+    id: 6,
+    name: "Viscount Who Loved Me",
+    author: "Julia Quinn",
+    isbn: "0062353640",
+    type: "fiction",
+    price: 7.99,
+    "current-stock": 7,
+    available: true,
+  },
+];
+
+/**
+ * Sends a JSON response (or an empty one when `body` is undefined).
+ */
+function send(res, statusCode, body) {
+  if (body === undefined) {
+    res.writeHead(statusCode);
+    res.end();
+    return;
+  }
+
+  const payload = JSON.stringify(body);
+  res.writeHead(statusCode, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(payload),
+  });
+  res.end(payload);
+}
+
+/**
+ * Reads and parses a JSON request body. Invalid or empty bodies resolve to `{}`,
+ * matching the public API which validates individual fields instead.
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (err) {
+        resolve({});
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Creates the request handler with its own in-memory state.
+ */
+function createHandler() {
+  const clientsByEmail = new Map(); // clientEmail -> client
+  const clientsByToken = new Map(); // accessToken -> client
+  const orders = new Map(); // orderId -> order
+
+  // Resolves the API client from the `Authorization: Bearer <token>` header
+  function authenticate(req, res) {
+    const header = req.headers.authorization;
+    if (!header) {
+      send(res, 401, { error: "Missing Authorization header." });
+      return null;
+    }
+
+    const token = header.replace(/^Bearer\s+/i, "");
+    const client = clientsByToken.get(token);
+    if (!client) {
+      send(res, 401, { error: "Invalid bearer token." });
+      return null;
+    }
+
+    return client;
+  }
+
+  // Orders are only visible to the client that created them
+  function findOrder(client, orderId) {
+    const order = orders.get(orderId);
+    return order && order.createdBy === client.id ? order : null;
+  }
+
+  const routes = {
+    "GET /status": (req, res) => send(res, 200, { status: "OK" }),
+
+    "GET /books": (req, res, { query }) => {
+      const type = query.get("type");
+      const limit = query.get("limit");
+
+      if (type !== null && !BOOK_TYPES.includes(type)) {
+        return send(res, 400, {
+          error: `Invalid value for query parameter 'type'. Must be one of: ${BOOK_TYPES.join(", ")}.`,
+        });
+      }
+
+      let books = BOOKS.filter((book) => type === null || book.type === type);
+
+      if (limit !== null) {
+        const parsedLimit = Number(limit);
+        if (!Number.isInteger(parsedLimit) || parsedLimit < 1) {
+          return send(res, 400, {
+            error:
+              "Invalid value for query parameter 'limit'. Must be greater than 0.",
+          });
+        }
+        if (parsedLimit > MAX_LIMIT) {
+          return send(res, 400, {
+            error: `Invalid value for query parameter 'limit'. Cannot be greater than ${MAX_LIMIT}.`,
+          });
+        }
+        books = books.slice(0, parsedLimit);
+      }
+
+      send(
+        res,
+        200,
+        books.map(({ id, name, type: bookType, available }) => ({
+          id,
+          name,
+          type: bookType,
+          available,
+        }))
+      );
+    },
+
+    "GET /books/:id": (req, res, { params }) => {
+      const book = BOOKS.find(
+        (candidate) => String(candidate.id) === params.id
+      );
+      if (!book) {
+        return send(res, 404, { error: `No book with id ${params.id}` });
+      }
+      send(res, 200, book);
+    },
+
+    "POST /api-clients": async (req, res) => {
+      const { clientName, clientEmail } = await readJsonBody(req);
+
+      if (typeof clientName !== "string" || !clientName.trim()) {
+        return send(res, 400, { error: "Invalid or missing client name." });
+      }
+      if (
+        typeof clientEmail !== "string" ||
+        !/^\S+@\S+\.\S+$/.test(clientEmail)
+      ) {
+        return send(res, 400, { error: "Invalid or missing client email." });
+      }
+      if (clientsByEmail.has(clientEmail)) {
+        return send(res, 409, {
+          error: "API client already registered. Try a different email.",
+        });
+      }
+
+      const client = {
+        id: crypto.createHash("sha256").update(clientEmail).digest("hex"),
+        clientName,
+        clientEmail,
+        accessToken: crypto.randomBytes(32).toString("hex"),
+      };
+      clientsByEmail.set(clientEmail, client);
+      clientsByToken.set(client.accessToken, client);
+
+      send(res, 201, { accessToken: client.accessToken });
+    },
+
+    "POST /orders": async (req, res) => {
+      const client = authenticate(req, res);
+      if (!client) return;
+
+      const { bookId, customerName } = await readJsonBody(req);
+      const book = BOOKS.find((candidate) => candidate.id === bookId);
+
+      if (!book) {
+        return send(res, 400, { error: "Invalid or missing bookId." });
+      }
+      if (typeof customerName !== "string" || !customerName.trim()) {
+        return send(res, 400, { error: "Invalid or missing customerName." });
+      }
+      if (!book.available) {
+        return send(res, 404, {
+          error: "This book is not in stock. Try again later.",
+        });
+      }
+
+      const order = {
+        id: crypto.randomBytes(16).toString("base64url").slice(0, 21),
+        bookId,
+        customerName,
+        createdBy: client.id,
+        quantity: 1,
+        timestamp: Date.now(),
+      };
+      orders.set(order.id, order);
+
+      send(res, 201, { created: true, orderId: order.id });
+    },
+
+    "GET /orders": (req, res) => {
+      const client = authenticate(req, res);
+      if (!client) return;
+
+      send(
+        res,
+        200,
+        [...orders.values()].filter((order) => order.createdBy === client.id)
+      );
+    },
+
+    "GET /orders/:id": (req, res, { params }) => {
+      const client = authenticate(req, res);
+      if (!client) return;
+
+      const order = findOrder(client, params.id);
+      if (!order) {
+        return send(res, 404, { error: `No order with id ${params.id}.` });
+      }
+      send(res, 200, order);
+    },
+
+    "PATCH /orders/:id": async (req, res, { params }) => {
+      const client = authenticate(req, res);
+      if (!client) return;
+
+      const order = findOrder(client, params.id);
+      if (!order) {
+        return send(res, 404, { error: `No order with id ${params.id}.` });
+      }
+
+      const { customerName } = await readJsonBody(req);
+      if (customerName !== undefined) {
+        if (typeof customerName !== "string" || !customerName.trim()) {
+          return send(res, 400, { error: "Invalid or missing customerName." });
+        }
+        order.customerName = customerName;
+      }
+      send(res, 204);
+    },
+
+    "DELETE /orders/:id": (req, res, { params }) => {
+      const client = authenticate(req, res);
+      if (!client) return;
+
+      if (!findOrder(client, params.id)) {
+        return send(res, 404, { error: `No order with id ${params.id}.` });
+      }
+      orders.delete(params.id);
+      send(res, 204);
+    },
+  };
+
+  // Matches "METHOD /path" against the route table, extracting a trailing `:id`
+  function resolveRoute(method, pathname) {
+    const path = pathname.replace(/\/+$/, "") || "/";
+    if (routes[`${method} ${path}`]) {
+      return { handler: routes[`${method} ${path}`], params: {} };
+    }
+
+    const match = path.match(/^(\/[^/]+)\/([^/]+)$/);
+    if (match && routes[`${method} ${match[1]}/:id`]) {
+      return {
+        handler: routes[`${method} ${match[1]}/:id`],
+        params: { id: decodeURIComponent(match[2]) },
+      };
+    }
+
+    return null;
+  }
+
+  return async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    let route;
+
+    try {
+      route = resolveRoute(req.method, url.pathname);
+    } catch (err) {
+      // Malformed percent-encoding in the `:id` segment, e.g. "/books/%E0%A4%A"
+      return send(res, 400, { error: "Malformed request path." });
+    }
+
+    if (!route) {
+      return send(res, 404, { error: "Not found." });
+    }
+
+    try {
+      await route.handler(req, res, {
+        params: route.params,
+        query: url.searchParams,
+      });
+    } catch (err) {
+      send(res, 500, { error: err.message });
+    }
+  };
+}
+
+/**
+ * Creates a new (not yet listening) Simple Books API server.
+ *
+ * @returns {http.Server}
+ */
+function createSimpleBooksServer() {
+  return http.createServer(createHandler());
+}
+
+/**
+ * Starts a Simple Books API server.
+ *
+ * @param {object} [options]
+ * @param {number} [options.port=0] - Port to listen on; 0 picks a free port.
+ * @returns {Promise<{ server: http.Server, url: string }>}
+ */
+function startSimpleBooksServer({ port = 0 } = {}) {
+  const server = createSimpleBooksServer();
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => {
+      const { port: boundPort } = server.address();
+      resolve({ server, url: `http://127.0.0.1:${boundPort}` });
+    });
+  });
+}
+
+module.exports = { BOOKS, createSimpleBooksServer, startSimpleBooksServer };
+
+// Allow running the server on its own: `node server/simpleBooksServer.js`
+if (require.main === module) {
+  startSimpleBooksServer({ port: Number(process.env.PORT) || 3001 }).then(
+    ({ url }) => console.log(`Simple Books API listening on ${url}`)
+  );
+}
@@ -0,0 +1,107 @@
+import { StarsRating } from "./stars-rating.js";
+import {
+  fetchSummary,
+  loadRating,
+  saveRating,
+  submitRating,
+} from "./ratings.js";
+
+const output = document.querySelector("#rating-output");
+const submitStatus = document.querySelector("#submit-status");
+const eventLog = document.querySelector("#event-log");
+const ratingElement = document.querySelector("#rating");
+const summaryText = document.querySelector("#summary-text");
+const summaryCounts = document.querySelector("#summary-counts");
+
+// Set while a failed submission restores the previous rating, which must not
+// be submitted again
+let rollingBack = false;
+
+function describeRating(value) {
+  return value
+    ? `You rated ${value} of ${window.starsRating.max} stars`
+    : "No rating yet";
+}
+
+function setStatus(state, text) {
+  submitStatus.dataset.state = state;
+  submitStatus.textContent = text;
+}
+
+function renderSummary({ count, average, counts }) {
+  const max = window.starsRating.max;
+
+  window.averageRating.setValue(average);
+  summaryText.textContent = count
+    ? `${average} of ${max} stars from ${count} rating${count === 1 ? "" : "s"}`
+    : "No ratings yet";
+  summaryCounts.replaceChildren(
+    ...Object.keys(counts)
+      .reverse()
+      .map((star) => {
+        const item = document.createElement("li");
+        item.dataset.stars = star;
+        item.textContent = `${star} star${star === "1" ? "" : "s"}: ${counts[star]}`;
+        return item;
+      })
+  );
+}
+
+async function refreshSummary() {
+  try {
+    renderSummary(await fetchSummary());
+  } catch {
+    summaryText.textContent = "Summary unavailable";
+  }
+}
+
+/**
+ * Submits a change of rating and restores the previous rating if the server
+ * does not take it (unless the user has rated again in the meantime).
+ */
+async function submit({ value, previousValue }) {
+  setStatus("pending", "Saving your rating…");
+
+  try {
+    await submitRating(value);
+  } catch {
+    if (window.starsRating.value === value) {
+      rollingBack = true;
+      window.starsRating.setValue(previousValue);
+      rollingBack = false;
+    }
+    setStatus("error", "Could not save your rating. Please try again.");
+    return;
+  }
+
+  setStatus("saved", "Rating saved");
+  await refreshSummary();
+}
+
+ratingElement.addEventListener("rating-change", ({ detail }) => {
+  output.textContent = describeRating(detail.value);
+
+  const entry = document.createElement("li");
+  entry.textContent = `${detail.previousValue} → ${detail.value}`;
+  eventLog.append(entry);
+
+  saveRating(detail.value);
+  // Resetting only forgets the rating locally
+  if (detail.value && !rollingBack) {
+    submit(detail);
+  }
+});
+
+// Options come from the data attributes of #rating, the value from the saved
+// rating. Exposed for tests and the browser console
+const savedRating = loadRating();
+window.starsRating = StarsRating.fromElement(
+  ratingElement,
+  savedRating ? { value: savedRating } : {}
+);
+window.averageRating = StarsRating.fromElement(
+  document.querySelector("#summary-average")
+);
+output.textContent = describeRating(window.starsRating.value);
+
+refreshSummary();
@@ -0,0 +1,48 @@
+/**
+ * @file Rating persistence
+ * @description Keeps the user's rating in localStorage across reloads and talks
+ * to the ratings API served next to the app (`server/ratingsApi.js`).
+ *
+ * @author Omar Rizk
+ */
+
+export const STORAGE_KEY = "stars-rating:value";
+
+/** The saved rating, 0 when there is none. */
+export function loadRating(storage = window.localStorage) {
+  const value = Number(storage.getItem(STORAGE_KEY));
+  return Number.isFinite(value) ? value : 0;
+}
+
+/** Saves `value`, or forgets the saved rating when it is 0. */
+export function saveRating(value, storage = window.localStorage) {
+  if (value) {
+    storage.setItem(STORAGE_KEY, String(value));
+  } else {
+    storage.removeItem(STORAGE_KEY);
+  }
+}
+
+async function request(url, options = {}) {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    throw new Error(
+      `${options.method || "GET"} ${url} failed with ${response.status}`
+    );
+  }
+  return response.json();
+}
+
+/** Submits a rating; rejects when the request fails. */
+export function submitRating(value) {
+  return request("/ratings", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ value }),
+  });
+}
+
+/** @returns {Promise<{ count: number, average: number, counts: object }>} */
+export function fetchSummary() {
+  return request("/ratings/summary");
+}
@@ -0,0 +1,303 @@
+/**
+ * @file Stars rating widget
+ * @description A row of clickable stars:
+ *
+ * - clicking a star selects it and every star before it; with `allowHalf`,
+ *   clicking the left half of a star selects half of it
+ * - hovering previews the rating under the pointer until the pointer leaves
+ * - "Reset" clears the rating
+ *
+ * It follows the ARIA radio group pattern: the stars are `role="radio"` inside a
+ * `role="radiogroup"`, the checked star is labelled with the rating ("3 of 5
+ * stars") and the group is a single tab stop. On the focused group, the arrow
+ * keys lower or raise the rating by one step (half a star with `allowHalf`),
+ * Home and End select the lowest and highest rating, and Space or Enter select
+ * the focused star.
+ *
+ * Options: `max` stars (3 to 10, default 5), initial `value`, `allowHalf`,
+ * `readOnly` (display only: ignores the mouse and keyboard, no reset; the value
+ * can still be set from code, e.g. an average) and `size`
+ * (`"small"`, `"medium"` or `"large"`) and the group's accessible `label`
+ * (default "Rating"). The same options can be given as data attributes
+ * (`data-max`, `data-value`, `data-allow-half`, `data-read-only`, `data-size`,
+ * `data-label`) and mounted with `initStarsRatings()`.
+ *
+ * Values are rounded to the nearest half star with `allowHalf` (3.74 -> 3.5,
+ * 3.75 -> 4) and to the nearest star without it (3.5 -> 4), then clamped to
+ * 0..max, so an out-of-range or invalid initial value never breaks the widget.
+ *
+ * Every change of the rating dispatches a bubbling `rating-change` event on the
+ * widget element (`event.detail`: `{ value, previousValue }`) and calls the
+ * `onChange` option with the same detail.
+ *
+ * @example
+ * import { StarsRating } from "./stars-rating.js";
+ *
+ * const rating = new StarsRating(document.querySelector("#rating"), {
+ *   max: 10,
+ *   allowHalf: true,
+ *   onChange: ({ value }) => console.log(`Rated ${value}`),
+ * });
+ * rating.setValue(4.5);
+ *
+ * @author Omar Rizk
+ */
+
+const SIZES = ["small", "medium", "large"];
+const MIN_STARS = 3;
+const MAX_STARS = 10;
+
+// Keys that lower (-1) or raise (+1) the rating by one step
+const KEY_STEPS = { ArrowLeft: -1, ArrowDown: -1, ArrowRight: 1, ArrowUp: 1 };
+
+/**
+ * Rounds `value` to the nearest half star (`allowHalf`) or whole star and
+ * clamps it to 0..max. Anything that is not a number counts as 0.
+ */
+export function normalizeRating(value, { max, allowHalf }) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    return 0;
+  }
+
+  const step = allowHalf ? 0.5 : 1;
+  const rounded = Math.round(number / step) * step;
+  return Math.min(Math.max(rounded, 0), max);
+}
+
+export class StarsRating {
+  /**
+   * @param {HTMLElement} element - Container the widget renders into.
+   * @param {object} [options]
+   * @param {number} [options.max=5] - Number of stars, 3 to 10.
+   * @param {number} [options.value=0] - Initial rating, 0 for none.
+   * @param {boolean} [options.allowHalf=false] - Allow half stars.
+   * @param {boolean} [options.readOnly=false]
+   * @param {"small"|"medium"|"large"} [options.size="medium"]
+   * @param {string} [options.label="Rating"] - Accessible name of the group.
+   * @param {(detail: { value: number, previousValue: number }) => void} [options.onChange]
+   */
+  constructor(
+    element,
+    {
+      max = 5,
+      value = 0,
+      allowHalf = false,
+      readOnly = false,
+      size = "medium",
+      label = "Rating",
+      onChange,
+    } = {}
+  ) {
+    if (!Number.isInteger(max) || max < MIN_STARS || max > MAX_STARS) {
+      throw new RangeError(
+        `StarsRating: max must be a whole number from ${MIN_STARS} to ${MAX_STARS}, got ${max}`
+      );
+    }
+    if (!SIZES.includes(size)) {
+      throw new Error(
+        `StarsRating: size must be one of ${SIZES.join(", ")}, got "${size}"`
+      );
+    }
+
+    this.element = element;
+    this.max = max;
+    this.allowHalf = allowHalf;
+    this.readOnly = readOnly;
+    this.size = size;
+    this.label = label;
+    this.value = normalizeRating(value, { max, allowHalf });
+    this.preview = 0;
+    this.onChange = onChange;
+
+    this.render();
+    this.update();
+  }
+
+  /**
+   * Creates a widget from the data attributes of `element`.
+   *
+   * @param {HTMLElement} element
+   * @param {object} [options] - Extra options, e.g. `onChange`.
+   */
+  static fromElement(element, options = {}) {
+    const { max, value, allowHalf, readOnly, size, label } = element.dataset;
+
+    return new StarsRating(element, {
+      ...(max !== undefined && { max: Number(max) }),
+      ...(value !== undefined && { value }),
+      allowHalf: allowHalf !== undefined && allowHalf !== "false",
+      readOnly: readOnly !== undefined && readOnly !== "false",
+      ...(size !== undefined && { size }),
+      ...(label !== undefined && { label }),
+      ...options,
+    });
+  }
+
+  render() {
+    const stars = Array.from(
+      { length: this.max },
+      (_, index) =>
+        `<span class="stars-rating__star" role="radio" data-value="${index + 1}">★</span>`
+    ).join("");
+
+    this.element.classList.add("stars-rating", `stars-rating--${this.size}`);
+    this.element.classList.toggle("is-readonly", this.readOnly);
+    this.element.innerHTML = `
+      <span class="stars-rating__stars" role="radiogroup"${this.readOnly ? ' aria-readonly="true"' : ""}>${stars}</span>
+      ${this.readOnly ? "" : '<button type="button" class="stars-rating__reset">Reset</button>'}
+    `;
+
+    this.starsElement = this.element.querySelector(".stars-rating__stars");
+    this.starsElement.setAttribute("aria-label", this.label);
+    this.stars = [...this.element.querySelectorAll(".stars-rating__star")];
+
+    if (this.readOnly) {
+      return;
+    }
+
+    this.starsElement.addEventListener("click", (event) => {
+      const value = this.valueAtPointer(event);
+      if (value) {
+        this.setValue(value);
+      }
+    });
+    ["mouseover", "mousemove"].forEach((type) =>
+      this.starsElement.addEventListener(type, (event) => {
+        const value = this.valueAtPointer(event);
+        if (value) {
+          this.setPreview(value);
+        }
+      })
+    );
+    this.starsElement.addEventListener("mouseleave", () => this.setPreview(0));
+    this.starsElement.addEventListener("keydown", (event) =>
+      this.onKeyDown(event)
+    );
+    this.element
+      .querySelector(".stars-rating__reset")
+      .addEventListener("click", () => this.reset());
+  }
+
+  /**
+   * The rating for a pointer event on a star: the left half of a star counts
+   * as half a star with `allowHalf`. Null when the pointer is not on a star.
+   */
+  valueAtPointer(event) {
+    const star = event.target.closest(".stars-rating__star");
+    if (!star) {
+      return null;
+    }
+
+    const starValue = Number(star.dataset.value);
+    const rect = star.getBoundingClientRect();
+    const onLeftHalf = event.clientX - rect.left < rect.width / 2;
+
+    return this.allowHalf && onLeftHalf ? starValue - 0.5 : starValue;
+  }
+
+  onKeyDown(event) {
+    const step = this.allowHalf ? 0.5 : 1;
+    const star = event.target.closest(".stars-rating__star");
+    let value;
+
+    if (event.key in KEY_STEPS) {
+      value = Math.min(
+        Math.max(this.value + KEY_STEPS[event.key] * step, step),
+        this.max
+      );
+    } else if (event.key === "Home") {
+      value = step;
+    } else if (event.key === "End") {
+      value = this.max;
+    } else if ((event.key === " " || event.key === "Enter") && star) {
+      value = Number(star.dataset.value);
+    } else {
+      return;
+    }
+
+    event.preventDefault();
+    this.setValue(value);
+    this.checkedStar().focus();
+  }
+
+  /** The star that is the group's tab stop: the checked one, else the first. */
+  checkedStar() {
+    return this.stars[Math.max(Math.ceil(this.value), 1) - 1];
+  }
+
+  /** Sets the rating (0 clears it), rounded and clamped like the initial value. */
+  setValue(value) {
+    const previousValue = this.value;
+    const nextValue = normalizeRating(value, this);
+    if (nextValue === previousValue) {
+      return;
+    }
+
+    this.value = nextValue;
+    this.update();
+
+    const detail = { value: nextValue, previousValue };
+    this.element.dispatchEvent(
+      new CustomEvent("rating-change", { detail, bubbles: true })
+    );
+    if (this.onChange) {
+      this.onChange(detail);
+    }
+  }
+
+  reset() {
+    this.setValue(0);
+  }
+
+  /** Highlights the rating under the pointer while hovering (0 ends the preview). */
+  setPreview(value) {
+    this.preview = value;
+    this.update();
+  }
+
+  update() {
+    const checkedValue = Math.ceil(this.value);
+    const tabStop = this.checkedStar();
+
+    this.element.dataset.value = String(this.value);
+    this.element.classList.toggle("is-previewing", this.preview > 0);
+
+    this.stars.forEach((star, index) => {
+      const starValue = index + 1;
+      const checked = starValue === checkedValue;
+
+      // A half rating checks the star it ends in and names the exact value
+      star.setAttribute("aria-checked", String(checked));
+      star.setAttribute(
+        "aria-label",
+        `${checked ? this.value : starValue} of ${this.max} stars`
+      );
+      if (this.readOnly) {
+        star.removeAttribute("tabindex");
+      } else {
+        star.setAttribute("tabindex", star === tabStop ? "0" : "-1");
+      }
+
+      star.classList.toggle("is-selected", starValue <= this.value);
+      star.classList.toggle("is-half", starValue - 0.5 === this.value);
+      star.classList.toggle("is-preview", starValue <= this.preview);
+      star.classList.toggle(
+        "is-preview-half",
+        starValue - 0.5 === this.preview
+      );
+    });
+  }
+}
+
+/**
+ * Mounts a widget on every `[data-stars-rating]` element under `root`.
+ *
+ * @param {ParentNode} [root=document]
+ * @returns {StarsRating[]}
+ */
+export function initStarsRatings(root = document) {
+  return [...root.querySelectorAll("[data-stars-rating]")].map((element) =>
+    StarsRating.fromElement(element)
+  );
+}
@@ -1,9 +1,38 @@
 const { defineConfig } = require("cypress");
+const { devServer } = require("@cypress/vite-dev-server");
+const { startStarsRatingServer } = require("./server/starsRatingServer");
 
 module.exports = defineConfig({
   e2e: {
-    setupNodeEvents(on, config) {
-      // implement node event listeners here
+    env: {
+      // Highest rating of the app's widget (`data-max` of #rating in
+      // app/index.html), also the highest rating the ratings API accepts
+      maxStars: 5,
     },
+    async setupNodeEvents(on, config) {
+      // Serve the widget app and its ratings API from this project and point
+      // baseUrl at it
+      const { url, ratings } = await startStarsRatingServer({
+        maxStars: config.env.maxStars,
+      });
+      config.baseUrl = `${url}/`;
+
+      on("task", {
+        "ratings:reset"() {
+          ratings.reset();
+          return null;
+        },
+      });
+
+      return config;
+    },
+  },
+  component: {
+    // The widget is plain JavaScript, so Vite only bundles the specs and
+    // app/stars-rating.js; cy.mount lives in cypress/support/component.js
+    devServer(devServerConfig) {
+      return devServer({ ...devServerConfig, viteConfig: {} });
+    },
+    specPattern: "cypress/component/**/*.cy.js",
   },
 });
@@ -0,0 +1,306 @@
+/**
+ * Cypress Component Tests: StarsRating
+ * ------------------------------------
+ * Mounts the widget from `app/stars-rating.js` on its own (no app page) with
+ * different props and checks what it renders, how it reacts to clicks and
+ * hovering, and the `onChange` callbacks it fires.
+ *
+ * Test Coverage:
+ * - Rendering for max stars, initial value and size
+ * - Click selection and hover preview
+ * - onChange calls for each change, and none for no-op interactions
+ * - Read-only mode
+ * - Half stars, rounding rules, max range and out-of-range initial values
+ * - Options from data attributes
+ *
+ * Author: Omar Rizk
+ */
+
+/// <reference types="cypress" />
+
+import {
+  StarsRating,
+  initStarsRatings,
+  normalizeRating,
+} from "../../app/stars-rating.js";
+
+describe("StarsRating component", () => {
+  const stars = () => cy.get("@mounted").find(".stars-rating__star");
+  const selectedStars = () => stars().filter(".is-selected");
+
+  it("[starsCT_TC001] Renders five unselected medium stars by default", () => {
+    cy.mount(StarsRating);
+
+    stars().should("have.length", 5);
+    selectedStars().should("have.length", 0);
+    cy.get("@mounted")
+      .should("have.class", "stars-rating--medium")
+      .and("have.attr", "data-value", "0");
+  });
+
+  it("[starsCT_TC002] Renders the max stars and the initial value", () => {
+    cy.mount(StarsRating, { max: 8, value: 3 });
+
+    stars().should("have.length", 8);
+    selectedStars().should("have.length", 3);
+    stars().last().should("have.attr", "aria-label", "8 of 8 stars");
+  });
+
+  it("[starsCT_TC003] Renders larger stars for a larger size", () => {
+    const fontSize = () =>
+      stars()
+        .first()
+        .then(($star) => parseFloat(getComputedStyle($star[0]).fontSize));
+
+    cy.mount(StarsRating, { size: "small" });
+    cy.get("@mounted").should("have.class", "stars-rating--small");
+    fontSize().as("small");
+
+    cy.mount(StarsRating, { size: "large" });
+    cy.get("@mounted").should("have.class", "stars-rating--large");
+    fontSize().then((large) => {
+      cy.get("@small").should("be.lessThan", large);
+    });
+  });
+
+  it("[starsCT_TC004] Rejects an unknown size", () => {
+    expect(
+      () => new StarsRating(document.createElement("div"), { size: "huge" })
+    ).to.throw('size must be one of small, medium, large, got "huge"');
+  });
+
+  it("[starsCT_TC005] Selects a rating on click and calls onChange once", () => {
+    const onChange = cy.stub().as("onChange");
+    cy.mount(StarsRating, { value: 1, onChange });
+
+    stars().eq(3).click();
+
+    selectedStars().should("have.length", 4);
+    cy.get("@onChange")
+      .should("have.been.calledOnce")
+      .and("have.been.calledWith", { value: 4, previousValue: 1 });
+  });
+
+  it("[starsCT_TC006] Does not call onChange when the same star is clicked again", () => {
+    const onChange = cy.stub().as("onChange");
+    cy.mount(StarsRating, { value: 2, onChange });
+
+    stars().eq(1).click();
+
+    cy.get("@onChange").should("not.have.been.called");
+  });
+
+  it("[starsCT_TC007] Previews on hover without changing the rating", () => {
+    const onChange = cy.stub().as("onChange");
+    cy.mount(StarsRating, { value: 1, onChange });
+
+    stars().eq(4).trigger("mouseover");
+    cy.get("@mounted").should("have.class", "is-previewing");
+    stars().filter(".is-preview").should("have.length", 5);
+
+    cy.get("@mounted").find(".stars-rating__stars").trigger("mouseleave");
+    cy.get("@mounted").should("not.have.class", "is-previewing");
+    selectedStars().should("have.length", 1);
+    cy.get("@onChange").should("not.have.been.called");
+  });
+
+  it("[starsCT_TC008] Resets the rating and reports it through onChange", () => {
+    const onChange = cy.stub().as("onChange");
+    cy.mount(StarsRating, { value: 2, onChange });
+
+    cy.get("@mounted").find(".stars-rating__reset").click();
+
+    selectedStars().should("have.length", 0);
+    cy.get("@onChange").should("have.been.calledOnceWith", {
+      value: 0,
+      previousValue: 2,
+    });
+  });
+
+  it("[starsCT_TC009] Ignores clicks and hovering when read-only", () => {
+    const onChange = cy.stub().as("onChange");
+    cy.mount(StarsRating, { value: 3, readOnly: true, onChange });
+
+    cy.get("@mounted").should("have.class", "is-readonly");
+    cy.get("@mounted").find(".stars-rating__reset").should("not.exist");
+    cy.get("@mounted")
+      .find("[role=radiogroup]")
+      .should("have.attr", "aria-readonly", "true");
+    stars().should("not.have.attr", "tabindex");
+
+    stars().eq(4).click({ force: true });
+    stars().eq(4).trigger("mouseover", { force: true });
+
+    selectedStars().should("have.length", 3);
+    cy.get("@mounted").should("not.have.class", "is-previewing");
+    cy.get("@onChange").should("not.have.been.called");
+  });
+
+  // Clicks or hovers at a fraction of the star's width (0.25 = left half)
+  const pointAt = (index, fraction, action = "click") =>
+    stars()
+      .eq(index)
+      .then(($star) => {
+        const { width, height } = $star[0].getBoundingClientRect();
+        return action === "click"
+          ? cy.wrap($star).click(width * fraction, height / 2)
+          : cy.wrap($star).trigger(action, width * fraction, height / 2);
+      });
+
+  it("[starsCT_TC010] Selects half a star from the pointer position", () => {
+    const onChange = cy.stub().as("onChange");
+    cy.mount(StarsRating, { allowHalf: true, onChange });
+
+    pointAt(2, 0.25);
+    cy.get("@onChange").should("have.been.calledWith", {
+      value: 2.5,
+      previousValue: 0,
+    });
+    selectedStars().should("have.length", 2);
+    stars().eq(2).should("have.class", "is-half");
+
+    pointAt(2, 0.75);
+    cy.get("@onChange").should("have.been.calledWith", {
+      value: 3,
+      previousValue: 2.5,
+    });
+    stars().filter(".is-half").should("have.length", 0);
+  });
+
+  it("[starsCT_TC011] Selects whole stars from any pointer position without allowHalf", () => {
+    const onChange = cy.stub().as("onChange");
+    cy.mount(StarsRating, { onChange });
+
+    pointAt(2, 0.25);
+    pointAt(2, 0.25, "mousemove");
+
+    stars().filter(".is-preview-half").should("have.length", 0);
+    cy.get("@onChange").should("have.been.calledOnceWith", {
+      value: 3,
+      previousValue: 0,
+    });
+  });
+
+  it("[starsCT_TC012] Rounds values to the nearest half or whole star", () => {
+    const cases = [
+      // [value, allowHalf, expected]
+      [3.74, true, 3.5],
+      [3.75, true, 4],
+      [3.24, true, 3],
+      [3.25, true, 3.5],
+      [3.49, false, 3],
+      [3.5, false, 4],
+      ["4.5", true, 4.5],
+    ];
+
+    cases.forEach(([value, allowHalf, expected]) => {
+      expect(
+        normalizeRating(value, { max: 5, allowHalf }),
+        `${value} (allowHalf: ${allowHalf})`
+      ).to.equal(expected);
+    });
+  });
+
+  it("[starsCT_TC013] Displays a fractional average as a half star", () => {
+    cy.mount(StarsRating, { value: 3.6, allowHalf: true, readOnly: true });
+
+    cy.get("@mounted").should("have.attr", "data-value", "3.5");
+    selectedStars().should("have.length", 3);
+    stars().eq(3).should("have.class", "is-half");
+  });
+
+  it("[starsCT_TC014] Clamps out-of-range and invalid initial values", () => {
+    const cases = [
+      [12, 5],
+      [5.5, 5],
+      [-2, 0],
+      ["abc", 0],
+      [undefined, 0],
+    ];
+
+    cases.forEach(([value, expected]) => {
+      cy.mount(StarsRating, { value, allowHalf: true });
+      cy.get("@mounted").should("have.attr", "data-value", String(expected));
+      selectedStars().should("have.length", expected);
+    });
+  });
+
+  it("[starsCT_TC015] Accepts 3 to 10 stars and rejects other maximums", () => {
+    cy.mount(StarsRating, { max: 3 });
+    stars().should("have.length", 3);
+
+    cy.mount(StarsRating, { max: 10 });
+    stars().should("have.length", 10);
+
+    [2, 11, 4.5, "7"].forEach((max) => {
+      expect(
+        () => new StarsRating(document.createElement("div"), { max }),
+        `max: ${max}`
+      ).to.throw(RangeError, "max must be a whole number from 3 to 10");
+    });
+  });
+
+  it("[starsCT_TC016] Ignores keyboard input when read-only", () => {
+    const radiogroup = () => cy.get("@mounted").find('[role="radiogroup"]');
+
+    // Arrows, Home and End go to the radiogroup; Space and Enter to a star
+    const pressKeys = () => {
+      ["ArrowRight", "End", "Home", "ArrowLeft"].forEach((key) => {
+        radiogroup().trigger("keydown", { key });
+      });
+      stars().eq(3).trigger("keydown", { key: "Enter" });
+      stars().eq(2).trigger("keydown", { key: " " });
+    };
+
+    // Control: the same keys change an editable widget
+    const onEditableChange = cy.stub().as("onEditableChange");
+    cy.mount(StarsRating, { value: 2, onChange: onEditableChange });
+    pressKeys();
+    cy.get("@mounted").should("have.attr", "data-value", "3");
+    cy.get("@onEditableChange")
+      .its("args")
+      .then((calls) => calls.map(([{ value }]) => value))
+      .should("deep.equal", [3, 5, 1, 4, 3]);
+
+    const onChange = cy.stub().as("onChange");
+    cy.mount(StarsRating, { value: 2, readOnly: true, onChange });
+
+    // The stars cannot take focus
+    stars().each(($star) => {
+      $star[0].focus();
+      expect(document.activeElement).not.to.equal($star[0]);
+    });
+
+    pressKeys();
+
+    cy.get("@mounted").should("have.attr", "data-value", "2");
+    cy.get("@onChange").should("not.have.been.called");
+  });
+
+  it("[starsCT_TC017] Takes its options from data attributes", () => {
+    const root = document.querySelector("[data-cy-root]");
+    root.innerHTML = `
+      <div data-stars-rating data-max="7" data-value="4.5" data-allow-half data-size="large"></div>
+      <div data-stars-rating data-max="4" data-value="3" data-read-only="true"></div>
+    `;
+
+    const [editable, readOnly] = initStarsRatings(root);
+
+    expect(editable).to.include({
+      max: 7,
+      value: 4.5,
+      allowHalf: true,
+      readOnly: false,
+      size: "large",
+    });
+    expect(readOnly).to.include({ max: 4, value: 3, readOnly: true });
+    cy.get("[data-stars-rating]")
+      .first()
+      .find(".stars-rating__star")
+      .should("have.length", 7);
+    cy.get("[data-stars-rating]")
+      .last()
+      .find(".stars-rating__reset")
+      .should("not.exist");
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Cypress Test Suite: Stars Rating Widget - ARIA and keyboard
+ * -----------------------------------------------------------
+ * This test suite verifies the radio group semantics of the stars rating widget
+ * and rating it with the keyboard. The app allows half stars, so one arrow key
+ * press moves the rating by half a star.
+ *
+ * Test Coverage:
+ * - radiogroup / radio roles and accessible labels ("3 of 5 stars")
+ * - aria-checked on the star holding the rating
+ * - A single tab stop that follows the rating
+ * - Arrow keys, Home / End, Space / Enter
+ *
+ * Author: Omar Rizk
+ */
+
+/// <reference types="cypress" />
+
+import { StarsRatingPage } from "../pages/StarsRatingPage";
+
+describe("Stars Rating Widget - ARIA and keyboard", () => {
+  const page = new StarsRatingPage();
+
+  const labels = () =>
+    page
+      .stars()
+      .then(($stars) =>
+        [...$stars].map((star) => star.getAttribute("aria-label"))
+      );
+
+  beforeEach(() => {
+    page.visit();
+  });
+
+  it("[starsKB_TC001] Exposes the stars as a labelled radio group", () => {
+    page
+      .radioGroup()
+      .should("have.attr", "role", "radiogroup")
+      .and("have.attr", "aria-label", "Rating");
+    page
+      .stars()
+      .should("have.length", 5)
+      .and("have.attr", "role", "radio")
+      .and("have.attr", "aria-checked", "false");
+    labels().should("deep.equal", [
+      "1 of 5 stars",
+      "2 of 5 stars",
+      "3 of 5 stars",
+      "4 of 5 stars",
+      "5 of 5 stars",
+    ]);
+  });
+
+  it("[starsKB_TC002] Checks only the star holding the rating", () => {
+    page.rate(3);
+
+    page
+      .checkedStar()
+      .should("have.length", 1)
+      .and("have.attr", "data-value", "3")
+      .and("have.attr", "aria-label", "3 of 5 stars");
+    page.star(2).should("have.attr", "aria-checked", "false");
+    page.star(4).should("have.attr", "aria-checked", "false");
+  });
+
+  it("[starsKB_TC003] Announces a half rating on the star it ends in", () => {
+    page.rate(3.5);
+
+    page
+      .checkedStar()
+      .should("have.attr", "data-value", "4")
+      .and("have.attr", "aria-label", "3.5 of 5 stars");
+  });
+
+  it("[starsKB_TC004] Has a single tab stop that follows the rating", () => {
+    // No rating yet: the first star
+    page.tabStop().should("have.length", 1).and("have.attr", "data-value", "1");
+    page.stars().filter('[tabindex="-1"]').should("have.length", 4);
+
+    page.rate(4);
+    page.tabStop().should("have.length", 1).and("have.attr", "data-value", "4");
+
+    page.reset();
+    page.tabStop().should("have.attr", "data-value", "1");
+  });
+
+  it("[starsKB_TC005] Raises the rating by half a star with ArrowRight and ArrowUp", () => {
+    page.focusStars();
+
+    page.press("{rightarrow}");
+    page.widget().should("have.attr", "data-value", "0.5");
+    page.checkedStar().should("have.attr", "aria-label", "0.5 of 5 stars");
+
+    page.press("{rightarrow}{uparrow}");
+    page.widget().should("have.attr", "data-value", "1.5");
+    page.output().should("have.text", "You rated 1.5 of 5 stars");
+  });
+
+  it("[starsKB_TC006] Lowers the rating with ArrowLeft and ArrowDown, down to half a star", () => {
+    page.rate(2);
+    page.focusStars();
+
+    page.press("{leftarrow}{downarrow}");
+    page.widget().should("have.attr", "data-value", "1");
+
+    // No wrapping: the rating stops at the lowest value
+    page.press("{leftarrow}{leftarrow}{leftarrow}");
+    page.widget().should("have.attr", "data-value", "0.5");
+    page
+      .eventLog()
+      .then(($entries) => [...$entries].map((entry) => entry.textContent))
+      .should("deep.equal", ["0 → 2", "2 → 1.5", "1.5 → 1", "1 → 0.5"]);
+  });
+
+  it("[starsKB_TC007] Stops at the highest rating with ArrowRight", () => {
+    page.rate(5);
+    page.focusStars();
+
+    page.press("{rightarrow}{uparrow}");
+
+    page.widget().should("have.attr", "data-value", "5");
+    page.eventLog().should("have.length", 1);
+  });
+
+  it("[starsKB_TC008] Selects the lowest and highest rating with Home and End", () => {
+    page.rate(3);
+    page.focusStars();
+
+    page.press("{end}");
+    page.widget().should("have.attr", "data-value", "5");
+    page.checkedStar().should("have.attr", "aria-label", "5 of 5 stars");
+
+    page.press("{home}");
+    page.widget().should("have.attr", "data-value", "0.5");
+  });
+
+  it("[starsKB_TC009] Moves focus with the checked star", () => {
+    page.focusStars();
+
+    page.press("{end}");
+    cy.focused().should("have.attr", "data-value", "5");
+
+    page.press("{leftarrow}{leftarrow}");
+    cy.focused()
+      .should("have.attr", "data-value", "4")
+      .and("have.attr", "aria-checked", "true")
+      .and("have.attr", "tabindex", "0");
+  });
+
+  it("[starsKB_TC010] Selects the focused star with Space and Enter", () => {
+    page.star(3).focus();
+    page.press(" ");
+    page.widget().should("have.attr", "data-value", "3");
+
+    page.star(5).focus();
+    page.press("{enter}");
+    page.widget().should("have.attr", "data-value", "5");
+    page.checkedStar().should("have.attr", "data-value", "5");
+  });
+
+  it("[starsKB_TC011] Ignores other keys", () => {
+    page.focusStars();
+
+    page.press("a1{pageup}");
+
+    page.widget().should("have.attr", "data-value", "0");
+    page.eventLog().should("have.length", 0);
+  });
+});
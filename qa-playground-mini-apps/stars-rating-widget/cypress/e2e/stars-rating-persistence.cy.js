@@ -0,0 +1,187 @@
+/**
+ * Cypress Test Suite: Stars Rating Widget - persistence and submission
+ * --------------------------------------------------------------------
+ * This test suite verifies that the app keeps the rating across reloads
+ * (localStorage), submits it to the local ratings API (`POST /ratings`), rolls
+ * the widget back when the submission fails and renders the summary of all
+ * ratings (`GET /ratings/summary`). The API's ratings are cleared before each
+ * test; failures are simulated with `cy.intercept`.
+ *
+ * Test Coverage:
+ * - Restoring the saved rating after a reload, and forgetting it on reset
+ * - Successful submission and the saved status
+ * - Rollback on a server error and on a network error
+ * - Summary rendering, from a stubbed response and after real submissions
+ * - Validation of the API
+ *
+ * Author: Omar Rizk
+ */
+
+/// <reference types="cypress" />
+
+import { StarsRatingPage } from "../pages/StarsRatingPage";
+
+describe("Stars Rating Widget - persistence and submission", () => {
+  const page = new StarsRatingPage();
+
+  const savedRating = () =>
+    cy.window().its("localStorage").invoke("getItem", "stars-rating:value");
+
+  beforeEach(() => {
+    cy.task("ratings:reset");
+  });
+
+  it("[starsPersist_TC001] Restores the saved rating after a reload", () => {
+    page.visit();
+    page.rate(4);
+    savedRating().should("eq", "4");
+
+    cy.reload();
+
+    page.widget().should("have.attr", "data-value", "4");
+    page.selectedStars().should("have.length", 4);
+    page.output().should("have.text", "You rated 4 of 5 stars");
+  });
+
+  it("[starsPersist_TC002] Forgets the saved rating on reset", () => {
+    page.visit();
+    page.rate(2.5);
+    page.reset();
+    savedRating().should("be.null");
+
+    cy.reload();
+
+    page.widget().should("have.attr", "data-value", "0");
+    page.output().should("have.text", "No rating yet");
+  });
+
+  it("[starsPersist_TC003] Submits the rating to the ratings API", () => {
+    cy.intercept("POST", "/ratings").as("submitRating");
+    page.visit();
+
+    page.rate(3.5);
+
+    cy.wait("@submitRating").then(({ request, response }) => {
+      expect(request.body).to.deep.equal({ value: 3.5 });
+      expect(response.statusCode).to.equal(201);
+      expect(response.body).to.include({ value: 3.5 });
+    });
+    page
+      .submitStatus()
+      .should("have.attr", "data-state", "saved")
+      .and("have.text", "Rating saved");
+  });
+
+  it("[starsPersist_TC004] Rolls back to the previous rating on a server error", () => {
+    page.visit();
+    page.rate(2);
+    page.submitStatus().should("have.attr", "data-state", "saved");
+
+    cy.intercept("POST", "/ratings", {
+      statusCode: 500,
+      body: { error: "Internal server error" },
+    }).as("submitRating");
+    page.rate(4);
+    cy.wait("@submitRating");
+
+    page.widget().should("have.attr", "data-value", "2");
+    page.output().should("have.text", "You rated 2 of 5 stars");
+    page
+      .submitStatus()
+      .should("have.attr", "data-state", "error")
+      .and("have.text", "Could not save your rating. Please try again.");
+    page.eventLog().last().should("have.text", "4 → 2");
+    savedRating().should("eq", "2");
+
+    // The rollback itself is not submitted
+    cy.get("@submitRating.all").should("have.length", 1);
+  });
+
+  it("[starsPersist_TC005] Rolls back to no rating on a network error", () => {
+    cy.intercept("POST", "/ratings", { forceNetworkError: true }).as(
+      "submitRating"
+    );
+    page.visit();
+
+    page.rate(5);
+    cy.wait("@submitRating");
+
+    page.widget().should("have.attr", "data-value", "0");
+    page.submitStatus().should("have.attr", "data-state", "error");
+    savedRating().should("be.null");
+  });
+
+  it("[starsPersist_TC006] Renders the summary of all ratings", () => {
+    cy.intercept("GET", "/ratings/summary", {
+      fixture: "ratings/summary.json",
+    }).as("summary");
+    page.visit();
+    cy.wait("@summary");
+
+    page.summaryText().should("have.text", "3.75 of 5 stars from 4 ratings");
+    // 3.75 shows as four stars, the nearest half star
+    page.averageWidget().should("have.attr", "data-value", "4");
+    page
+      .summaryCounts()
+      .then(($items) => [...$items].map((item) => item.textContent))
+      .should("deep.equal", [
+        "5 stars: 1",
+        "4 stars: 2",
+        "3 stars: 0",
+        "2 stars: 1",
+        "1 star: 0",
+      ]);
+  });
+
+  it("[starsPersist_TC007] Updates the summary after each submission", () => {
+    cy.request("POST", "/ratings", { value: 3 });
+    cy.request("POST", "/ratings", { value: 3 });
+    page.visit();
+    page.summaryText().should("have.text", "3 of 5 stars from 2 ratings");
+
+    page.rate(4.5);
+
+    page.summaryText().should("have.text", "3.5 of 5 stars from 3 ratings");
+    page.averageWidget().should("have.attr", "data-value", "3.5");
+    page
+      .summaryCounts()
+      .filter('[data-stars="5"]')
+      .should("have.text", "5 stars: 1");
+    page
+      .summaryCounts()
+      .filter('[data-stars="3"]')
+      .should("have.text", "3 stars: 2");
+  });
+
+  it("[starsPersist_TC008] Shows that there are no ratings yet", () => {
+    page.visit();
+
+    page.summaryText().should("have.text", "No ratings yet");
+    page.averageWidget().should("have.attr", "data-value", "0");
+    page.summaryCounts().should("have.length", 5);
+  });
+
+  it("[starsPersist_TC009] Rejects invalid ratings in the API", () => {
+    const maxStars = Cypress.env("maxStars");
+
+    // The API is configured with the widget's maximum
+    page.visit();
+    page.widget().should("have.attr", "data-max", String(maxStars));
+
+    [maxStars + 2, 0, 2.25, "4", null].forEach((value) => {
+      cy.request({
+        method: "POST",
+        url: "/ratings",
+        body: { value },
+        failOnStatusCode: false,
+      }).then(({ status, body }) => {
+        expect(status, `value ${JSON.stringify(value)}`).to.equal(400);
+        expect(body.error).to.equal(
+          `value must be a number from 0.5 to ${maxStars} in steps of 0.5`
+        );
+      });
+    });
+
+    cy.request("/ratings/summary").its("body.count").should("equal", 0);
+  });
+});
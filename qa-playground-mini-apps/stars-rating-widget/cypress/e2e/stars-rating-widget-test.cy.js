@@ -1,5 +1,155 @@
-describe('template spec', () => {
-  it('passes', () => {
-    cy.visit('https://example.cypress.io')
-  })
-})
\ No newline at end of file
+/**
+ * Cypress Test Suite: Stars Rating Widget
+ * ---------------------------------------
+ * This test suite verifies the stars rating widget app served locally from
+ * `app/` (see cypress.config.js).
+ *
+ * Test Coverage:
+ * - Rendering five unselected stars
+ * - Selecting a rating by clicking a star
+ * - Hover preview and its end when the pointer leaves
+ * - Resetting the rating
+ * - The `rating-change` events emitted for each change
+ * - Half-star selection by pointer position
+ *
+ * Author: Omar Rizk
+ */
+
+/// <reference types="cypress" />
+
+import { StarsRatingPage } from "../pages/StarsRatingPage";
+
+describe("Stars Rating Widget", () => {
+  const page = new StarsRatingPage();
+
+  beforeEach(() => {
+    page.visit();
+  });
+
+  it("[stars_TC001] Renders five unselected stars", () => {
+    page.stars().should("have.length", 5);
+    page.selectedStars().should("have.length", 0);
+    page.widget().should("have.attr", "data-value", "0");
+    page.output().should("have.text", "No rating yet");
+  });
+
+  it("[stars_TC002] Selects a star and every star before it on click", () => {
+    page.rate(3);
+
+    page.selectedStars().should("have.length", 3);
+    page.star(3).should("have.class", "is-selected");
+    page.star(4).should("not.have.class", "is-selected");
+    page.widget().should("have.attr", "data-value", "3");
+    page.output().should("have.text", "You rated 3 of 5 stars");
+  });
+
+  it("[stars_TC003] Changes the rating when another star is clicked", () => {
+    page.rate(5);
+    page.selectedStars().should("have.length", 5);
+
+    page.rate(2);
+    page.selectedStars().should("have.length", 2);
+    page.output().should("have.text", "You rated 2 of 5 stars");
+  });
+
+  it("[stars_TC004] Previews the rating under the pointer while hovering", () => {
+    page.rate(2);
+
+    page.hover(4);
+    page.widget().should("have.class", "is-previewing");
+    page.previewStars().should("have.length", 4);
+
+    // Hovering does not change the rating itself
+    page.widget().should("have.attr", "data-value", "2");
+    page.eventLog().should("have.length", 1);
+  });
+
+  it("[stars_TC005] Ends the preview when the pointer leaves the stars", () => {
+    page.rate(2);
+    page.hover(5);
+
+    page.leave();
+
+    page.widget().should("not.have.class", "is-previewing");
+    page.previewStars().should("have.length", 0);
+    page.selectedStars().should("have.length", 2);
+  });
+
+  it("[stars_TC006] Resets the rating", () => {
+    page.rate(4);
+
+    page.reset();
+
+    page.selectedStars().should("have.length", 0);
+    page.widget().should("have.attr", "data-value", "0");
+    page.output().should("have.text", "No rating yet");
+  });
+
+  it("[stars_TC007] Emits a rating-change event for every change", () => {
+    page.widget().then(($widget) => {
+      $widget[0].addEventListener(
+        "rating-change",
+        cy.stub().as("ratingChange")
+      );
+    });
+
+    page.rate(3);
+    page.rate(1);
+    page.reset();
+
+    cy.get("@ratingChange").should("have.been.calledThrice");
+    cy.get("@ratingChange")
+      .its("firstCall.args.0.detail")
+      .should("deep.equal", { value: 3, previousValue: 0 });
+    cy.get("@ratingChange")
+      .its("lastCall.args.0.detail")
+      .should("deep.equal", { value: 0, previousValue: 1 });
+    page
+      .eventLog()
+      .then(($entries) => [...$entries].map((entry) => entry.textContent))
+      .should("deep.equal", ["0 → 3", "3 → 1", "1 → 0"]);
+  });
+
+  it("[stars_TC008] Does not emit an event when the rating does not change", () => {
+    page.rate(3);
+    page.rate(3);
+    page.reset();
+    page.reset();
+
+    page.eventLog().should("have.length", 2);
+  });
+
+  it("[stars_TC009] Selects half a star when clicking the left half of a star", () => {
+    page.rate(3.5);
+
+    page.selectedStars().should("have.length", 3);
+    page
+      .halfStar()
+      .should("have.length", 1)
+      .and("have.attr", "data-value", "4");
+    page.widget().should("have.attr", "data-value", "3.5");
+    page.output().should("have.text", "You rated 3.5 of 5 stars");
+  });
+
+  it("[stars_TC010] Selects the whole star when clicking its right half", () => {
+    page.rate(3.5);
+    page.rate(4);
+
+    page.selectedStars().should("have.length", 4);
+    page.halfStar().should("have.length", 0);
+    page.eventLog().last().should("have.text", "3.5 → 4");
+  });
+
+  it("[stars_TC011] Previews half a star while the pointer is on the left half", () => {
+    page.hover(1.5);
+    page
+      .stars()
+      .filter(".is-preview-half")
+      .should("have.attr", "data-value", "2");
+    page.previewStars().should("have.length", 1);
+
+    page.hover(2);
+    page.stars().filter(".is-preview-half").should("have.length", 0);
+    page.previewStars().should("have.length", 2);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Page Object Model: stars rating widget app (`app/index.html`)
+ * -------------------------------------------------------------
+ * Queries for the widget, its event log, submission status and the ratings
+ * summary, plus intent-level actions (`rate(3)`, `rate(2.5)`, `hover(2)`,
+ * `press("{rightarrow}")`).
+ *
+ * @example
+ * import { StarsRatingPage } from "../pages/StarsRatingPage";
+ *
+ * const page = new StarsRatingPage();
+ * page.visit();
+ * page.rate(4);
+ * page.output().should("have.text", "You rated 4 of 5 stars");
+ *
+ * Author: Omar Rizk
+ */
+
+export class StarsRatingPage {
+  constructor() {
+    this.selectors = {
+      widget: "#rating",
+      stars: "#rating .stars-rating__star",
+      starsRow: "#rating .stars-rating__stars",
+      resetButton: "#rating .stars-rating__reset",
+      output: "#rating-output",
+      eventLog: "#event-log li",
+      submitStatus: "#submit-status",
+      averageWidget: "#summary-average",
+      summaryText: "#summary-text",
+      summaryCounts: "#summary-counts li",
+    };
+  }
+
+  /** Opens the app (baseUrl). */
+  visit() {
+    return cy.visit("/");
+  }
+
+  widget() {
+    return cy.get(this.selectors.widget);
+  }
+
+  stars() {
+    return cy.get(this.selectors.stars);
+  }
+
+  /** The star for `value` (1-based). */
+  star(value) {
+    return this.stars().eq(value - 1);
+  }
+
+  /** The star shown half selected, if any. */
+  halfStar() {
+    return this.stars().filter(".is-half");
+  }
+
+  /** The stars' `role="radiogroup"` element. */
+  radioGroup() {
+    return cy.get(this.selectors.starsRow);
+  }
+
+  /** The `aria-checked` star, if any. */
+  checkedStar() {
+    return this.stars().filter('[aria-checked="true"]');
+  }
+
+  /** The star that is the group's only tab stop (`tabindex="0"`). */
+  tabStop() {
+    return this.stars().filter('[tabindex="0"]');
+  }
+
+  /** Stars shown as selected. */
+  selectedStars() {
+    return this.stars().filter(".is-selected");
+  }
+
+  /** Stars highlighted by the hover preview. */
+  previewStars() {
+    return this.stars().filter(".is-preview");
+  }
+
+  resetButton() {
+    return cy.get(this.selectors.resetButton);
+  }
+
+  output() {
+    return cy.get(this.selectors.output);
+  }
+
+  /** Entries of the change event log ("previous → value"). */
+  eventLog() {
+    return cy.get(this.selectors.eventLog);
+  }
+
+  /** Status of the last submission; its `data-state` is pending, saved or error. */
+  submitStatus() {
+    return cy.get(this.selectors.submitStatus);
+  }
+
+  /** Read-only widget showing the average of all ratings. */
+  averageWidget() {
+    return cy.get(this.selectors.averageWidget);
+  }
+
+  summaryText() {
+    return cy.get(this.selectors.summaryText);
+  }
+
+  /** Per-star counts of the summary, highest star first ("5 stars: 2"). */
+  summaryCounts() {
+    return cy.get(this.selectors.summaryCounts);
+  }
+
+  /**
+   * Clicks the star for `value`; a half value (3.5) clicks the left half of
+   * the next star, a whole value its right half.
+   */
+  rate(value) {
+    return this.pointAt(value, "click");
+  }
+
+  /** Hovers the star for `value`, like `rate`. */
+  hover(value) {
+    return this.pointAt(value, "mousemove");
+  }
+
+  /** Moves the pointer off the stars. */
+  leave() {
+    return cy.get(this.selectors.starsRow).trigger("mouseleave");
+  }
+
+  /** Focuses the stars through their tab stop. */
+  focusStars() {
+    return this.tabStop().focus();
+  }
+
+  /** Types `keys` (`cy.type` syntax) into the focused star. */
+  press(keys) {
+    return cy.focused().type(keys);
+  }
+
+  reset() {
+    return this.resetButton().click();
+  }
+
+  pointAt(value, action) {
+    const half = !Number.isInteger(value);
+
+    return this.star(Math.ceil(value)).then(($star) => {
+      const { width, height } = $star[0].getBoundingClientRect();
+      const x = width * (half ? 0.25 : 0.75);
+
+      return action === "click"
+        ? cy.wrap($star).click(x, height / 2)
+        : cy.wrap($star).trigger(action, x, height / 2);
+    });
+  }
+}
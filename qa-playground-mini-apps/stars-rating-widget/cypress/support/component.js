@@ -0,0 +1,34 @@
+// ***********************************************************
+// This support file is processed and loaded automatically
+// before your component test files.
+//
+// https://on.cypress.io/component-testing
+// ***********************************************************
+
+import "./commands";
+import "../../app/styles.css";
+
+/**
+ * `cy.mount(Component, props)` renders a widget class such as `StarsRating` into
+ * the component test root: `new Component(element, props)`. Yields the widget
+ * instance; its element is available as `@mounted`.
+ *
+ * @example
+ * cy.mount(StarsRating, { max: 7, value: 3 });
+ * cy.get("@mounted").find(".is-selected").should("have.length", 3);
+ */
+Cypress.Commands.add("mount", (Component, props = {}) => {
+  const root = document.querySelector("[data-cy-root]");
+  const element = document.createElement("div");
+
+  root.replaceChildren(element);
+  const instance = new Component(element, props);
+
+  Cypress.log({
+    name: "mount",
+    message: `${Component.name} ${JSON.stringify(props)}`,
+  });
+
+  cy.wrap(element, { log: false }).as("mounted");
+  return cy.wrap(instance, { log: false });
+});
@@ -0,0 +1,141 @@
+/**
+ * @file Ratings API
+ * @description In-memory REST endpoints the stars rating app submits to:
+ *
+ * - `POST /ratings` - body `{ value }`, a rating from 0.5 to `maxStars` in
+ *   half-star steps. Responds 201 with `{ id, value }`, or 400 with `{ error }`
+ *   for an invalid body.
+ * - `GET /ratings/summary` - `{ count, average, counts }`: the number of
+ *   ratings, their average rounded to two decimals (0 without ratings) and the
+ *   count per star (`{ "1": 0, ..., "5": 2 }`). A half rating counts toward the
+ *   star it ends in (3.5 -> 4), the star the widget shows as checked.
+ *
+ * Ratings live in memory only, so restarting the server clears them; the
+ * Cypress suite clears them before each test with the `ratings:reset` task.
+ *
+ * @author Omar Rizk
+ */
+
+/**
+ * Creates an empty ratings store.
+ *
+ * @param {object} [options]
+ * @param {number} [options.maxStars=5] - Highest rating accepted.
+ */
+function createRatingsStore({ maxStars = 5 } = {}) {
+  let ratings = [];
+
+  return {
+    maxStars,
+
+    /** Stores a valid rating and returns it with its id. */
+    add(value) {
+      const rating = { id: ratings.length + 1, value };
+      ratings.push(rating);
+      return rating;
+    },
+
+    summary() {
+      const counts = {};
+      for (let star = 1; star <= maxStars; star += 1) {
+        counts[star] = 0;
+      }
+      ratings.forEach(({ value }) => {
+        counts[Math.ceil(value)] += 1;
+      });
+
+      const total = ratings.reduce((sum, { value }) => sum + value, 0);
+      const average = ratings.length
+        ? Math.round((total / ratings.length) * 100) / 100
+        : 0;
+
+      return { count: ratings.length, average, counts };
+    },
+
+    reset() {
+      ratings = [];
+    },
+  };
+}
+
+/**
+ * The validation error for a rating, or null when `value` is valid.
+ */
+function validateRating(value, maxStars) {
+  if (
+    typeof value !== "number" ||
+    !Number.isInteger(value * 2) ||
+    value < 0.5 ||
+    value > maxStars
+  ) {
+    return `value must be a number from 0.5 to ${maxStars} in steps of 0.5`;
+  }
+  return null;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString() || "null"));
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Creates a request handler for the `/ratings` endpoints backed by `store`.
+ *
+ * @param {ReturnType<typeof createRatingsStore>} store
+ */
+function createRatingsHandler(store) {
+  return async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (pathname === "/ratings/summary") {
+      if (req.method !== "GET") {
+        sendJson(res, 405, { error: "Method not allowed" });
+        return;
+      }
+      sendJson(res, 200, store.summary());
+      return;
+    }
+
+    if (pathname === "/ratings") {
+      if (req.method !== "POST") {
+        sendJson(res, 405, { error: "Method not allowed" });
+        return;
+      }
+
+      let body;
+      try {
+        body = await readJson(req);
+      } catch {
+        sendJson(res, 400, { error: "Body must be JSON" });
+        return;
+      }
+
+      const error = validateRating(body && body.value, store.maxStars);
+      if (error) {
+        sendJson(res, 400, { error });
+        return;
+      }
+      sendJson(res, 201, store.add(body.value));
+      return;
+    }
+
+    sendJson(res, 404, { error: "Not found" });
+  };
+}
+
+module.exports = { createRatingsStore, createRatingsHandler };
@@ -0,0 +1,51 @@
+/**
+ * @file Local stars rating app
+ * @description Serves the stars rating widget app (`app/`) and, next to it, the
+ * ratings API (`/ratings`, see `ratingsApi.js`).
+ *
+ * Usage:
+ * - From Cypress: `startStarsRatingServer()` is called from `setupNodeEvents`.
+ * - Standalone:   `npm run app:server` (listens on PORT, default 8080).
+ *
+ * @author Omar Rizk
+ */
+
+const path = require("path");
+const { createStaticHandler, listen } = require("../../../shared/staticServer");
+const { createRatingsStore, createRatingsHandler } = require("./ratingsApi");
+
+const APP_DIR = path.join(__dirname, "..", "app");
+
+/**
+ * Starts the app.
+ *
+ * @param {object} [options]
+ * @param {number} [options.port=0] - Port to listen on; 0 picks a free port.
+ * @param {number} [options.maxStars=5] - Highest rating the API accepts, the
+ *   `data-max` of the app's widget.
+ * @returns {Promise<{ server: http.Server, url: string, ratings: object }>}
+ *   `ratings` is the API's store, e.g. to reset it between tests.
+ */
+async function startStarsRatingServer({ port = 0, maxStars } = {}) {
+  const ratings = createRatingsStore({ maxStars });
+  const serveApi = createRatingsHandler(ratings);
+  const serveApp = createStaticHandler(APP_DIR);
+
+  const { server, url } = await listen((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const isApi = pathname === "/ratings" || pathname.startsWith("/ratings/");
+
+    return isApi ? serveApi(req, res) : serveApp(req, res);
+  }, port);
+
+  return { server, url, ratings };
+}
+
+module.exports = { startStarsRatingServer };
+
+// Allow running the server on its own: `node server/starsRatingServer.js`
+if (require.main === module) {
+  startStarsRatingServer({ port: Number(process.env.PORT) || 8080 }).then(
+    ({ url }) => console.log(`Stars rating app listening on ${url}`)
+  );
+}
@@ -0,0 +1,160 @@
+/**
+ * @file Static file server
+ * @description Minimal static server shared by the projects of this repo. It
+ * serves their local apps and replicas of third-party pages during Cypress
+ * runs, so UI tests do not depend on the live sites.
+ *
+ * - `mounts` serves extra directories under a URL prefix, e.g. jQuery from
+ *   `node_modules` instead of a CDN.
+ * - `fallbackToIndex` answers unknown paths without a file extension with
+ *   `index.html`, like the client-side routing of a single-page app.
+ *
+ * Usage: `node shared/staticServer.js <root> [--fallback-to-index]` (listens on
+ * PORT, default 8080).
+ *
+ * @author Omar Rizk
+ */
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+};
+
+/**
+ * Resolves a URL path to a file inside `dir`, or null when it escapes `dir`.
+ * Throws a URIError for malformed percent-encoding (e.g. "/%E0%A4%A") and for
+ * NUL bytes ("/%00"), which the `fs` functions reject by throwing.
+ */
+function resolveFile(dir, urlPath) {
+  const decoded = decodeURIComponent(urlPath);
+  if (decoded.includes("\0")) {
+    throw new URIError(`NUL byte in path "${urlPath}"`);
+  }
+
+  const filePath = path.join(dir, decoded);
+  const inside = filePath === dir || filePath.startsWith(`${dir}${path.sep}`);
+  return inside ? filePath : null;
+}
+
+/**
+ * Creates a request handler serving files from `root`.
+ *
+ * @param {string} root - Directory to serve.
+ * @param {object} [options]
+ * @param {Object<string, string>} [options.mounts] - URL prefix -> directory,
+ *   e.g. `{ "/vendor/jquery": "node_modules/jquery/dist" }`.
+ * @param {boolean} [options.fallbackToIndex=false] - Serve `index.html` for
+ *   unknown paths without a file extension.
+ */
+function createStaticHandler(
+  root,
+  { mounts = {}, fallbackToIndex = false } = {}
+) {
+  const rootDir = path.resolve(root);
+  const mountDirs = Object.entries(mounts).map(([prefix, dir]) => [
+    prefix.replace(/\/+$/, ""),
+    path.resolve(dir),
+  ]);
+
+  return (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const mount = mountDirs.find(([prefix]) =>
+      pathname.startsWith(`${prefix}/`)
+    );
+    let filePath;
+
+    try {
+      filePath = mount
+        ? resolveFile(mount[1], pathname.slice(mount[0].length))
+        : resolveFile(rootDir, pathname);
+    } catch (err) {
+      res.writeHead(400, { "Content-Type": "text/plain" });
+      res.end("Bad request");
+      return;
+    }
+
+    // Never serve anything outside the root (or mounted) directory
+    if (!filePath) {
+      res.writeHead(403);
+      res.end();
+      return;
+    }
+
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+      filePath = path.join(filePath, "index.html");
+    } else if (
+      fallbackToIndex &&
+      !fs.existsSync(filePath) &&
+      !path.extname(filePath)
+    ) {
+      filePath = path.join(rootDir, "index.html");
+    }
+
+    fs.readFile(filePath, (err, content) => {
+      if (err) {
+        res.writeHead(404, { "Content-Type": "text/plain" });
+        res.end("Not found");
+        return;
+      }
+
+      res.writeHead(200, {
+        "Content-Type":
+          CONTENT_TYPES[path.extname(filePath)] || "application/octet-stream",
+      });
+      res.end(content);
+    });
+  };
+}
+
+/**
+ * Starts an HTTP server for `handler`.
+ *
+ * @param {Function} handler - Request handler.
+ * @param {number} [port=0] - Port to listen on; 0 picks a free port.
+ * @returns {Promise<{ server: http.Server, url: string }>}
+ */
+function listen(handler, port = 0) {
+  const server = http.createServer(handler);
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+/**
+ * Starts a static server for `root`.
+ *
+ * @param {object} options
+ * @param {string} options.root - Directory to serve.
+ * @param {Object<string, string>} [options.mounts] - Extra directories by URL prefix.
+ * @param {boolean} [options.fallbackToIndex=false] - See `createStaticHandler`.
+ * @param {number} [options.port=0] - Port to listen on; 0 picks a free port.
+ * @returns {Promise<{ server: http.Server, url: string }>}
+ */
+function startStaticServer({ root, mounts, fallbackToIndex, port = 0 }) {
+  return listen(createStaticHandler(root, { mounts, fallbackToIndex }), port);
+}
+
+module.exports = { createStaticHandler, listen, startStaticServer };
+
+// Allow running the server on its own: `node shared/staticServer.js <root>`
+if (require.main === module) {
+  const root = process.argv[2] || process.cwd();
+  startStaticServer({
+    root,
+    fallbackToIndex: process.argv.includes("--fallback-to-index"),
+    port: Number(process.env.PORT) || 8080,
+  }).then(({ url }) => console.log(`Serving ${path.resolve(root)} on ${url}`));
+}
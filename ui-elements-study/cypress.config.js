@@ -1,10 +1,38 @@
 const { defineConfig } = require("cypress");
+const {
+  startAutomationPracticeServer,
+} = require("./server/automationPracticeServer");
+const { loadTestData } = require("./cypress/plugins/testData");
+const { realEvents } = require("./cypress/plugins/realEvents");
+const { a11yReport } = require("./cypress/plugins/a11yReport");
+
+// Live page, used when running with `--env target=live`
+const LIVE_APP_URL = "https://rahulshettyacademy.com/AutomationPractice/";
 
 module.exports = defineConfig({
   e2e: {
-    baseUrl: "https://rahulshettyacademy.com/AutomationPractice/",
-    setupNodeEvents(on, config) {
-      // implement node event listeners here
+    baseUrl: LIVE_APP_URL,
+    env: {
+      // Profile: "local" serves the AutomationPractice replica from this repo
+      // (offline), "live" targets the public site
+      target: "local",
+    },
+    async setupNodeEvents(on, config) {
+      // Data-driven test cases from cypress/fixtures/data, see cypress/support/dataDriven.js
+      config.env.testData = loadTestData();
+
+      // cy.realHover / cy.realClick / cy.realPress, see cypress/support/realEvents.js
+      realEvents(on);
+
+      // cy.checkA11y results, written to cypress/reports/a11y after the run
+      a11yReport(on);
+
+      if (config.env.target !== "live") {
+        const { url } = await startAutomationPracticeServer();
+        config.baseUrl = `${url}/`;
+      }
+
+      return config;
     },
   },
 });
@@ -10,80 +10,104 @@
  * - Dismissing or accepting confirmation popups
  * - Validating user input before triggering alerts
  *
+ * Dialogs are asserted with cy.expectDialog (cypress/support/dialogs.js), which
+ * fails when the expected dialog never appears. The suite also enables the
+ * unexpected-dialog guard.
+ *
  * Author: Omar Rizk
  */
 
 /// <reference types="cypress" />
 
-describe("Alert & Confirm Popups Tests", () => {
-  const nameInput = "#name";
-  const alertButton = "#alertbtn";
-  const confirmButton = "#confirmbtn";
-
-  beforeEach(() => {
-    // Visit the target webpage before each test
-    cy.visit("/");
+import { AutomationPracticePage } from "../../pages/AutomationPracticePage";
+
+describe(
+  "Alert & Confirm Popups Tests",
+  { env: { failOnUnexpectedDialog: true } },
+  () => {
+    const page = new AutomationPracticePage();
+    const { alerts } = page;
+    const alertText = (name) =>
+      `Hello ${name}, share this practice page and share your knowledge`;
+    const confirmText = (name) =>
+      `Hello ${name}, Are you sure you want to confirm?`;
+
+    beforeEach(() => {
+      // Visit the target webpage before each test
+      page.visit();
+
+      // Ensure input field and buttons exist
+      alerts.nameInput().should("exist").and("be.visible");
+      alerts.alertButton().should("exist");
+      alerts.confirmButton().should("exist");
+    });
 
-    // Ensure input field and buttons exist
-    cy.get(nameInput).as("nameField").should("exist").and("be.visible");
-    cy.get(alertButton).as("alertBtn").should("exist");
-    cy.get(confirmButton).as("confirmBtn").should("exist");
-  });
+    it("[alerts_TC001] Verifies alert popup displays correct message", () => {
+      alerts.enterName("Omar");
 
-  it("[alerts_TC001] Verifies alert popup displays correct message", () => {
-    cy.get("@nameField").type("Omar");
+      cy.expectDialog({ type: "alert", text: alertText("Omar") }, () =>
+        alerts.triggerAlert()
+      );
+    });
 
-    cy.on("window:alert", (alertText) => {
-      expect(alertText).to.include("Hello Omar, share this practice page");
+    it("[alerts_TC002] Handles confirmation popup by accepting", () => {
+      cy.expectDialog(
+        { type: "confirm", match: "you want to confirm?", respond: true },
+        () => alerts.triggerConfirm()
+      ).should("have.property", "response", true);
     });
 
-    cy.get("@alertBtn").click();
-  });
+    it("[alerts_TC003] Handles confirmation popup by dismissing", () => {
+      cy.expectDialog(
+        { type: "confirm", match: "you want to confirm?", respond: false },
+        () => alerts.triggerConfirm()
+      ).should("have.property", "response", false);
+    });
 
-  it("[alerts_TC002] Handles confirmation popup by accepting", () => {
-    cy.on("window:confirm", (confirmText) => {
-      expect(confirmText).to.include("you want to confirm?");
-      return true; // Accept
+    it("[alerts_TC004] Ensures alert is triggered only after input", () => {
+      // Without a name the alert greets nobody
+      cy.expectDialog({ type: "alert", text: alertText("") }, () =>
+        alerts.triggerAlert()
+      )
+        .its("text")
+        .should("not.include", "Omar");
     });
 
-    cy.get("@confirmBtn").click();
-  });
+    it("[alerts_TC005] Validates confirm dialog behavior dynamically", () => {
+      [true, false].forEach((choice) => {
+        alerts.enterName("Omar");
 
-  it("[alerts_TC003] Handles confirmation popup by dismissing", () => {
-    cy.on("window:confirm", (confirmText) => {
-      expect(confirmText).to.include("you want to confirm?");
-      return false; // Dismiss
+        cy.expectDialog(
+          { type: "confirm", text: confirmText("Omar"), respond: choice },
+          () => alerts.triggerConfirm()
+        ).should("have.property", "response", choice);
+      });
     });
 
-    cy.get("@confirmBtn").click();
-  });
+    it("[alerts_TC006] Ensures alert box contains expected keywords", () => {
+      alerts.enterName("John");
 
-  it("[alerts_TC004] Ensures alert is triggered only after input", () => {
-    cy.get("@alertBtn").click();
-
-    cy.on("window:alert", (alertText) => {
-      expect(alertText).to.not.include("Omar");
+      cy.expectDialog(
+        { type: "alert", match: /Hello.*share this practice page/ },
+        () => alerts.triggerAlert()
+      );
     });
-  });
-
-  it("[alerts_TC005] Validates confirm dialog behavior dynamically", () => {
-    [true, false].forEach((choice) => {
-      cy.get("@confirmBtn").click();
 
-      cy.on("window:confirm", (confirmText) => {
-        expect(confirmText).to.include("you want to confirm?");
-        return choice;
-      });
+    it("[alerts_TC007] Audits the section for accessibility violations", () => {
+      cy.checkA11y(alerts);
     });
-  });
 
-  it("[alerts_TC006] Ensures alert box contains expected keywords", () => {
-    cy.get("@nameField").type("John");
+    it("[alerts_TC008] Opens the alert from the keyboard", () => {
+      const { nameInput, alertButton, confirmButton } = alerts.selectors;
 
-    cy.on("window:alert", (alertText) => {
-      expect(alertText).to.match(/Hello.*share this practice page/);
-    });
+      cy.assertFocusOrder([nameInput, alertButton, confirmButton]);
 
-    cy.get("@alertBtn").click();
-  });
-});
+      // Type a name, tab to the "Alert" button and press Enter
+      alerts.enterName("Omar");
+      cy.expectDialog({ type: "alert", text: alertText("Omar") }, () => {
+        cy.tab().should("have.id", "alertbtn");
+        cy.realPress("Enter");
+      });
+    });
+  }
+);
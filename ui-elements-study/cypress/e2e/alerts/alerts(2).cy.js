@@ -9,6 +9,8 @@
  * - Handling prompt popups (Input & Cancel)
  * - Validating UI updates based on user action
  *
+ * Dialogs are asserted with cy.expectDialog (cypress/support/dialogs.js).
+ *
  * Author: Omar Rizk
  */
 
@@ -21,61 +23,54 @@ describe("JavaScript Alerts Handling", () => {
   });
 
   it("[alerts_TC001] Verifies handling of simple JS alert", () => {
-    // Click the JS Alert button
-    cy.contains("Click for JS Alert").click();
-
-    // Cypress automatically handles alerts, but we assert the alert text
-    cy.on("window:alert", (text) => {
-      expect(text).to.equal("I am a JS Alert");
-    });
+    // Click the JS Alert button and assert the alert text
+    cy.expectDialog({ type: "alert", text: "I am a JS Alert" }, () =>
+      cy.contains("Click for JS Alert").click()
+    );
 
     // Verify the result text updated accordingly
     cy.get("#result").should("have.text", "You successfully clicked an alert");
   });
 
   it("[alerts_TC002] Verifies handling of JS confirm popup (Accept)", () => {
-    // Click the JS Confirm button
-    cy.contains("Click for JS Confirm").click();
-
-    // Handle confirmation popup (Accept)
-    cy.on("window:confirm", () => true);
+    // Click the JS Confirm button and accept the confirmation popup
+    cy.expectDialog(
+      { type: "confirm", text: "I am a JS Confirm", respond: true },
+      () => cy.contains("Click for JS Confirm").click()
+    );
 
     // Verify the result text updated accordingly
     cy.get("#result").should("include.text", "Ok");
   });
 
   it("[alerts_TC003] Verifies handling of JS confirm popup (Cancel)", () => {
-    // Click the JS Confirm button
-    cy.contains("Click for JS Confirm").click();
-
-    // Handle confirmation popup (Cancel)
-    cy.on("window:confirm", () => false);
+    // Click the JS Confirm button and cancel the confirmation popup
+    cy.expectDialog(
+      { type: "confirm", text: "I am a JS Confirm", respond: false },
+      () => cy.contains("Click for JS Confirm").click()
+    );
 
     // Verify the result text updated accordingly
     cy.get("#result").should("include.text", "Cancel");
   });
 
   it("[alerts_TC004] Verifies handling of JS prompt popup (Entering Text)", () => {
-    // Stub the prompt and return a custom value
-    cy.window().then((win) => {
-      cy.stub(win, "prompt").returns("Omar Cypress!");
-    });
-
-    // Click the JS Prompt button
-    cy.contains("Click for JS Prompt").click();
+    // Click the JS Prompt button and enter a custom value
+    cy.expectDialog(
+      { type: "prompt", text: "I am a JS prompt", respond: "Omar Cypress!" },
+      () => cy.contains("Click for JS Prompt").click()
+    );
 
     // Verify the result text is updated correctly
     cy.get("#result").should("have.text", "You entered: Omar Cypress!");
   });
 
   it("[alerts_TC005] Verifies handling of JS prompt popup (Cancel)", () => {
-    // Stub the prompt and return null (Cancel action)
-    cy.window().then((win) => {
-      cy.stub(win, "prompt").returns(null);
-    });
-
-    // Click the JS Prompt button
-    cy.contains("Click for JS Prompt").click();
+    // Click the JS Prompt button and cancel the prompt
+    cy.expectDialog(
+      { type: "prompt", text: "I am a JS prompt", respond: null },
+      () => cy.contains("Click for JS Prompt").click()
+    );
 
     // Verify the result text is updated accordingly
     cy.get("#result").should("include.text", "null");
@@ -92,7 +87,7 @@ describe("JavaScript Alerts Handling", () => {
     );
   });
 
-  it.only("[alerts_TC007] Verifies Cypress Basic Authentication", () => {
+  it("[alerts_TC007] Verifies Cypress Basic Authentication", () => {
     cy.visit("https://the-internet.herokuapp.com/basic_auth", {
       auth: {
         username: "admin",
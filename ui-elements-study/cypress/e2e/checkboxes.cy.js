@@ -14,80 +14,105 @@
 
 /// <reference types="cypress" />
 
+import { AutomationPracticePage } from "../pages/AutomationPracticePage";
+
 describe("Checkbox Tests", () => {
-  const checkboxSelector = 'input[type="checkbox"]';
+  const page = new AutomationPracticePage();
+  const { checkboxes } = page;
 
   beforeEach(() => {
     // Visit the target webpage before each test case
-    cy.visit("/");
+    page.visit();
 
     // Verify that checkboxes exist before interacting with them
-    cy.get(checkboxSelector).as("checkboxes").should("have.length", 3);
+    checkboxes.all().should("have.length", 3);
   });
 
   it("[Checkbox_TC001] Selects a checkbox and verifies it's checked", () => {
-    cy.get("@checkboxes").eq(0).check().should("be.checked");
+    checkboxes.select(0).should("be.checked");
   });
 
   it("[Checkbox_TC002] Allows selecting multiple checkboxes", () => {
     // Select all checkboxes at once
-    cy.get("@checkboxes").check();
+    checkboxes.selectAll();
 
     // Verify all checkboxes are checked
-    cy.get("@checkboxes").each(($checkbox) => {
+    checkboxes.all().each(($checkbox) => {
       cy.wrap($checkbox).should("be.checked");
     });
   });
 
   it("[Checkbox_TC003] Deselects a checkbox and verifies it's unchecked", () => {
     // Check a checkbox first
-    cy.get("@checkboxes").eq(1).check().should("be.checked");
+    checkboxes.select(1).should("be.checked");
 
     // Uncheck it
-    cy.get("@checkboxes").eq(1).uncheck().should("not.be.checked");
+    checkboxes.deselect(1).should("not.be.checked");
   });
 
   it("[Checkbox_TC004] Toggles a checkbox on and off", () => {
     // Toggle checkbox multiple times
-    cy.get("@checkboxes").eq(2).check().should("be.checked");
-    cy.get("@checkboxes").eq(2).uncheck().should("not.be.checked");
-    cy.get("@checkboxes").eq(2).check().should("be.checked");
+    checkboxes.select(2).should("be.checked");
+    checkboxes.deselect(2).should("not.be.checked");
+    checkboxes.select(2).should("be.checked");
   });
 
   it("[Checkbox_TC005] Ensures checkbox selection persists after reload", () => {
-    cy.get("@checkboxes").eq(0).check().should("be.checked");
+    checkboxes.select(0).should("be.checked");
 
     // Reload the page
     cy.reload();
 
     // Verify the checkbox remains checked
-    cy.get("@checkboxes").eq(0).should("be.checked");
+    checkboxes.option(0).should("be.checked");
   });
 
   it("[Checkbox_TC006] Waits for dynamically loaded checkboxes and interacts", () => {
     // Ensure dynamically loaded checkboxes exist before proceeding
-    cy.get("@checkboxes").should("have.length.at.least", 3);
+    checkboxes.all().should("have.length.at.least", 3);
 
     // Select the last dynamically loaded checkbox and verify selection
-    cy.get("@checkboxes").last().check().should("be.checked");
+    checkboxes.all().last().check().should("be.checked");
   });
 
   it.skip("[Checkbox_TC007] Verifies an indeterminate checkbox state (if applicable)", () => {
     // Some checkboxes can have an "indeterminate" state in UI
     // This test only applies if your UI has indeterminate checkboxes
-    cy.get("@checkboxes").eq(0).invoke("prop", "indeterminate", true);
-    cy.get("@checkboxes").eq(0).should("have.prop", "indeterminate", true);
+    checkboxes.option(0).invoke("prop", "indeterminate", true);
+    checkboxes.option(0).should("have.prop", "indeterminate", true);
   });
 
   it("[Checkbox_TC008] Checks that checkbox values are correct", () => {
     // Ensure the checkboxes have the expected values
-    cy.get("@checkboxes").eq(0).should("have.value", "option1");
-    cy.get("@checkboxes").eq(1).should("have.value", "option2");
-    cy.get("@checkboxes").eq(2).should("have.value", "option3");
+    checkboxes.option(0).should("have.value", "option1");
+    checkboxes.option(1).should("have.value", "option2");
+    checkboxes.option(2).should("have.value", "option3");
   });
 
   it("[Checkbox_TC009] Checks all checkboxes at once", () => {
     // Check all checkboxes and ensure they're selected
-    cy.get("@checkboxes").check().should("be.checked");
+    checkboxes.selectAll().should("be.checked");
+  });
+
+  it("[Checkbox_TC010] Audits the section for accessibility violations", () => {
+    checkboxes.select("option1");
+    cy.checkA11y(checkboxes);
+  });
+
+  it("[Checkbox_TC011] Tabs through the checkboxes and toggles them with Space", () => {
+    const option = (value) =>
+      `${checkboxes.selectors.checkboxes}[value="${value}"]`;
+
+    cy.assertFocusOrder([
+      option("option1"),
+      option("option2"),
+      option("option3"),
+    ]);
+
+    // Space toggles the focused checkbox
+    cy.realPress("Space");
+    checkboxes.option("option3").should("be.checked");
+    cy.realPress("Space");
+    checkboxes.option("option3").should("not.be.checked");
   });
 });
@@ -14,6 +14,8 @@
  * - Verifying selection persistence after reload
  * - Ensuring accessibility compliance
  * - Clearing selection
+ * - Data-driven suggestions and selections (case variants, accented names,
+ *   negative inputs) from cypress/fixtures/data/autocompleteCountries.csv
  *
  * Author: Omar Rizk
  *
@@ -21,23 +23,25 @@
 
 /// <reference types="cypress" />
 
+import { AutomationPracticePage } from "../../pages/AutomationPracticePage";
+import { itEach, testData } from "../../support/dataDriven";
+
 describe("Dynamic Countries Dropdown Tests", () => {
-  const inputSelector = "#autocomplete";
+  const page = new AutomationPracticePage();
+  const { autocomplete } = page;
 
   beforeEach(() => {
     // Visit the target webpage before each test
-    cy.visit("/");
+    page.visit();
 
     // Ensure the input field exists and is visible before interacting
-    cy.get(inputSelector)
-      .as("autocompleteInput")
-      .should("exist")
-      .and("be.visible");
+    autocomplete.input().should("exist").and("be.visible");
   });
 
   it("[dynamicDropdown_TC001] Verifies input field visibility and basic interaction", () => {
     // Ensure the input field is visible and accepts text input
-    cy.get("@autocompleteInput")
+    autocomplete
+      .input()
       .should("be.visible")
       .and("have.attr", "placeholder", "Type to Select Countries")
       .type("Canada")
@@ -46,114 +50,133 @@ describe("Dynamic Countries Dropdown Tests", () => {
 
   it("[dynamicDropdown_TC002] Displays country suggestions when typing", () => {
     // Type partial country name and check if suggestions appear
-    cy.get("@autocompleteInput").type("Ind");
+    autocomplete.search("Ind");
 
     // Verify suggestions contain "Ind"
-    cy.get(".ui-menu-item").should("exist").and("contain.text", "Ind");
+    autocomplete.suggestions().should("exist").and("contain.text", "Ind");
   });
 
   it("[dynamicDropdown_TC003] Selects a country from suggestions", () => {
-    // Type "Egypt" and select from suggestions
-    cy.get("@autocompleteInput").type("Egy");
-
-    // Click on the correct suggestion
-    cy.get(".ui-menu-item").contains("Egypt").click();
-
-    // Verify the selected value is correctly set in the input field
-    cy.get("@autocompleteInput").should("have.value", "Egypt");
+    // Type "Egy", click "Egypt" once the suggestions settle and verify the
+    // selected value is correctly set in the input field
+    autocomplete.select("Egy", "Egypt");
   });
 
   it("[dynamicDropdown_TC004] Ensures case-insensitive selection works", () => {
     // Type "Egypt" in lowercase and select the country
-    cy.get("@autocompleteInput").type("united arab emirates");
+    autocomplete.search("united arab emirates");
 
-    cy.get(".ui-menu-item").contains("United Arab Emirates").click();
+    autocomplete.choose("United Arab Emirates");
 
     // Verify correct selection regardless of case
-    cy.get("@autocompleteInput").should("have.value", "United Arab Emirates");
+    autocomplete.input().should("have.value", "United Arab Emirates");
   });
 
   it("[dynamicDropdown_TC005] Ensures only relevant suggestions appear", () => {
     // Type "Uni" to trigger suggestions
-    cy.get("@autocompleteInput").type("Uni");
+    autocomplete.search("Uni");
 
     // Verify all displayed suggestions contain "Uni"
-    cy.get(".ui-menu-item").each(($el) => {
+    autocomplete.suggestions().each(($el) => {
       expect($el.text().toLowerCase()).to.include("uni");
     });
   });
 
   it("[dynamicDropdown_TC006] Handles invalid input (Negative Test)", () => {
     // Type an invalid country name
-    cy.get("@autocompleteInput").type("XYZ");
+    autocomplete.search("XYZ");
 
     // Ensure no suggestions appear
-    cy.get(".ui-menu-item").should("not.exist");
+    autocomplete.suggestions().should("not.exist");
 
     // Ensure the input field does not auto-fill with an invalid selection
-    cy.get("@autocompleteInput").should("have.value", "XYZ");
+    autocomplete.input().should("have.value", "XYZ");
   });
 
-  it.only("[dynamicDropdown_TC007] Supports keyboard navigation for selection", () => {
-    // Type a partial country name
-    cy.get("@autocompleteInput").type("Ind");
+  it("[dynamicDropdown_TC007] Supports keyboard navigation for selection", () => {
+    // Type a partial country name, then use the arrow keys and Enter to select
+    // "India" ("Ind" suggests British Indian Ocean Territory, India, Indonesia)
+    autocomplete.select("Ind", "India", { via: "keyboard" });
 
-    // Use keyboard arrows to navigate through the list and select an option
-    cy.get("@autocompleteInput").type(
-      "{downarrow}{downarrow}{downarrow}{enter}"
-    );
-
-    // Ensure a valid country was selected
-    //cy.get("@autocompleteInput").invoke("val").should("not.be.empty");
-    cy.get("@autocompleteInput").invoke("val").should("eq", "India");
+    // Ensure the expected country was selected
+    autocomplete.input().invoke("val").should("eq", "India");
   });
 
   it("[dynamicDropdown_TC008] Ensures selection persists after reload", () => {
-    not.be.empty;
-    cy.get(".ui-menu-item").contains("Egypt").click();
+    // Type "Egy" and select "Egypt"
+    autocomplete.search("Egy");
+    autocomplete.choose("Egypt");
 
     // Verify correct selection
-    cy.get("@autocompleteInput").should("have.value", "Egypt");
+    autocomplete.input().should("have.value", "Egypt");
 
     // Reload the page
     cy.reload();
 
     // Ensure input retains the last selected country after reload
-    cy.get("@autocompleteInput").should("have.value", "Egypt");
+    autocomplete.input().should("have.value", "Egypt");
   });
 
-  it("[dynamicDropdown_TC009] Validates accessibility attributes", () => {
-    // Verify essential accessibility attributes
-    cy.get("@autocompleteInput").should("have.attr", "autocomplete", "off");
-    cy.get("@autocompleteInput").should("have.attr", "type", "text");
+  it("[dynamicDropdown_TC009] Audits the autocomplete for accessibility violations", () => {
+    cy.checkA11y(autocomplete);
+
+    // Audit again with the suggestion list open
+    autocomplete.search("Ind");
+    autocomplete.suggestions().should("be.visible");
+    cy.checkA11y(autocomplete);
   });
 
   it("[dynamicDropdown_TC010] Ensures user can clear selection", () => {
     // Type and select "Egypt"
-    cy.get("@autocompleteInput").type("Egypt");
+    autocomplete.search("Egypt");
 
-    cy.get(".ui-menu-item").contains("Egypt").click();
+    autocomplete.choose("Egypt");
 
     // Ensure correct selection
-    cy.get("@autocompleteInput").should("have.value", "Egypt");
+    autocomplete.input().should("have.value", "Egypt");
 
     // Clear the input field
-    cy.get("@autocompleteInput").clear().should("have.value", "");
+    autocomplete.clear().should("have.value", "");
   });
 
-  it.only("[dynamicDropdown_TC011] Verifies multiple country selections dynamically", () => {
+  it("[dynamicDropdown_TC011] Verifies multiple country selections dynamically", () => {
     // Define a list of test inputs
     const testCountries = ["Japan", "Canada", "Germany"];
 
-    testCountries.forEach((country) => {
-      // Type the country name
-      cy.get("@autocompleteInput").clear().type(country.substring(0, 3)); // Type only first 3 letters
-
-      // Select from suggestions
-      cy.get(".ui-menu-item").contains(country).click();
-
-      // Verify correct selection
-      cy.get("@autocompleteInput").should("have.value", country);
-    });
+    // Type only the first 3 letters of each country and select it from the
+    // suggestions; the input is cleared and its value verified every time
+    autocomplete.select(
+      testCountries.map((country) => country.substring(0, 3)),
+      testCountries
+    );
   });
+
+  // One test per CSV row: the exact suggestions for the input, then the selection
+  // (negative rows have neither)
+  itEach(
+    testData("autocompleteCountries"),
+    {
+      tcId: "dynamicDropdown_TC012",
+      title: ({ input, description }) =>
+        `Suggests countries for "${input}" (${description})`,
+    },
+    ({ input, expectedSuggestions, expectedSelection }) => {
+      autocomplete.search(input);
+
+      if (!expectedSuggestions.length) {
+        autocomplete.suggestions().should("not.exist");
+        autocomplete.input().should("have.value", input);
+        return;
+      }
+
+      autocomplete.suggestions().should(($items) => {
+        expect(
+          [...$items].map((item) => item.textContent.trim())
+        ).to.deep.equal(expectedSuggestions);
+      });
+
+      autocomplete.choose(expectedSelection);
+      autocomplete.input().should("have.value", expectedSelection);
+    }
+  );
 });
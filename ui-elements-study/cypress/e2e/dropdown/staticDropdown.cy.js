@@ -11,58 +11,63 @@
  * - Negative tests for invalid selections
  * - Accessibility validation
  * - Keyboard navigation within the dropdown
+ * - Data-driven selections from cypress/fixtures/data/staticDropdownOptions.json
  *
  * Author: Omar Rizk
  */
 
 /// <reference types="cypress" />
 
+import { AutomationPracticePage } from "../../pages/AutomationPracticePage";
+import { itEach, testData } from "../../support/dataDriven";
+
 describe("Static Dropdown Tests", () => {
-  const dropdownSelector = "#dropdown-class-example";
+  const page = new AutomationPracticePage();
+  const { staticDropdown } = page;
 
   beforeEach(() => {
     // Visit the target webpage before each test case
-    cy.visit("/");
+    page.visit();
 
     // Ensure the dropdown exists before interacting with it
-    cy.get(dropdownSelector).as("dropdown").should("exist");
+    staticDropdown.dropdown().should("exist");
   });
 
   it("[staticDropdown_TC001] Verifies the default selected option", () => {
     // Expected default selection should be "Select" with an empty value
-    cy.get("@dropdown").should("have.value", "");
+    staticDropdown.dropdown().should("have.value", "");
   });
 
   it("[staticDropdown_TC002] Selects an option by value", () => {
     // Using `.select(value)` to choose the option with value "option1"
-    cy.get("@dropdown").select("option1").should("have.value", "option1");
+    staticDropdown.choose("option1").should("have.value", "option1");
   });
 
   it("[staticDropdown_TC003] Selects an option by visible text", () => {
     // Selecting an option based on the visible text "Option2"
-    cy.get("@dropdown").select("Option2").should("have.value", "option2");
+    staticDropdown.choose("Option2").should("have.value", "option2");
   });
 
   it("[staticDropdown_TC004] Selects an option by index", () => {
     // 0 = "Select", 1 = "Option1", 2 = "Option2", 3 = "Option3"
-    cy.get("@dropdown").select(3).should("have.value", "option3");
+    staticDropdown.choose(3).should("have.value", "option3");
   });
 
   it("[staticDropdown_TC005] Ensures only one option is selected at a time", () => {
     // Select "Option1" first and verify
-    cy.get("@dropdown").select("option1").should("have.value", "option1");
+    staticDropdown.choose("option1").should("have.value", "option1");
 
     // Now select "Option3" and ensure "Option1" is no longer selected
-    cy.get("@dropdown").select("option3").should("have.value", "option3");
+    staticDropdown.choose("option3").should("have.value", "option3");
   });
 
   it("[staticDropdown_TC006] Verifies dropdown selection persists after reload", () => {
-    cy.get("@dropdown").select("option2").should("have.value", "option2");
+    staticDropdown.choose("option2").should("have.value", "option2");
 
     cy.reload();
 
     // Ensure the page is fully loaded before checking again
-    cy.get("@dropdown").should("exist").and("have.value", "option2");
+    staticDropdown.dropdown().should("exist").and("have.value", "option2");
   });
 
   it("[staticDropdown_TC007] Ensures dropdown contains the correct options", () => {
@@ -70,8 +75,8 @@ describe("Static Dropdown Tests", () => {
 
     const expectedOptions = ["Select", "Option1", "Option2", "Option3"];
 
-    cy.get("@dropdown")
-      .find("option")
+    staticDropdown
+      .options()
       .should("have.length", expectedOptions.length)
       .each(($option, index) => {
         // Iterate over each option and compare with expected values
@@ -80,9 +85,9 @@ describe("Static Dropdown Tests", () => {
   });
 
   it.skip("[staticDropdown_TC008] Ensures non-existent options cannot be selected (negative test)", () => {
-    cy.get("@dropdown").find("option").should("not.contain", "InvalidOption");
+    staticDropdown.options().should("not.contain", "InvalidOption");
 
-    cy.get("@dropdown").then(($dropdown) => {
+    staticDropdown.dropdown().then(($dropdown) => {
       const availableOptions = [...$dropdown.find("option")].map(
         (option) => option.value
       );
@@ -90,23 +95,69 @@ describe("Static Dropdown Tests", () => {
     });
 
     // Attempting to select an invalid option should not change the dropdown's value
-    cy.get("@dropdown").select("InvalidOption").should("not.exist");
+    staticDropdown.choose("InvalidOption").should("not.exist");
   });
 
-  it("[staticDropdown_TC009] Validates accessibility attributes of the dropdown", () => {
-    // Check if the dropdown has proper accessibility attributes
-    cy.get("@dropdown").should("have.attr", "id", "dropdown-class-example");
-    cy.get("@dropdown").should("have.attr", "name", "dropdown-class-example");
+  it("[staticDropdown_TC009] Audits the dropdown for accessibility violations", () => {
+    // The missing label of the select is a known issue of the page, see
+    // cypress/fixtures/a11y/allowlist.json
+    cy.checkA11y(staticDropdown);
   });
 
   it("[staticDropdown_TC010] Verifies keyboard navigation within the dropdown", () => {
-    cy.get("@dropdown").focus().type("{downarrow}");
-    cy.get("@dropdown").should("have.value", "option1");
+    // Reach the dropdown with a real Tab from the autocomplete input before it
+    cy.assertFocusOrder([
+      page.autocomplete.selectors.input,
+      staticDropdown.selectors.dropdown,
+    ]);
+
+    // Real arrow keys change the selected option: the browser's own handling of
+    // a focused, closed select (Linux and Windows; macOS opens the list instead)
+    cy.realPress("ArrowDown");
+    staticDropdown.dropdown().should("have.value", "option1");
 
-    cy.get("@dropdown").type("{downarrow}");
-    cy.get("@dropdown").should("have.value", "option2");
+    cy.realPress("ArrowDown");
+    staticDropdown.dropdown().should("have.value", "option2");
 
-    cy.get("@dropdown").type("{downarrow}");
-    cy.get("@dropdown").should("have.value", "option3");
+    cy.realPress("ArrowDown");
+    staticDropdown.dropdown().should("have.value", "option3");
+
+    cy.realPress("ArrowUp");
+    staticDropdown.dropdown().should("have.value", "option2");
   });
+
+  // One test per row: select by value, visible text or index, and options that
+  // do not exist (negative rows, "available": false)
+  itEach(
+    testData("staticDropdownOptions"),
+    {
+      tcId: "staticDropdown_TC011",
+      title: ({ by, option, available }) =>
+        available
+          ? `Selects option by ${by} ${JSON.stringify(option)}`
+          : `Rejects unknown option by ${by} ${JSON.stringify(option)}`,
+    },
+    ({ by, option, available, expectedValue, expectedText }) => {
+      if (!available) {
+        staticDropdown.options().then(($options) => {
+          const options = [...$options];
+          const matching = {
+            value: options.filter((element) => element.value === option),
+            text: options.filter((element) => element.text === option),
+            index: options.slice(option, option + 1),
+          }[by];
+
+          expect(matching, `options matching ${by} ${option}`).to.be.empty;
+        });
+        staticDropdown.dropdown().should("have.value", expectedValue);
+        return;
+      }
+
+      staticDropdown.choose(option).should("have.value", expectedValue);
+      staticDropdown
+        .dropdown()
+        .find("option:selected")
+        .should("have.text", expectedText);
+    }
+  );
 });
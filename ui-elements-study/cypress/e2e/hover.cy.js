@@ -5,36 +5,51 @@
  * upon mouse hover actions. It ensures that hover-based UI elements function
  * correctly and remain accessible.
  *
+ * The menu is opened by CSS `:hover` only, so the tests move the real mouse
+ * pointer with `cy.realHover()` (Chrome DevTools Protocol, see
+ * cypress/support/realEvents.js). Each test first parks the pointer away from
+ * the menu, on the page heading.
+ *
  * Test Coverage:
  * - Verifying element visibility after hover
  * - Clicking elements within hover menus
  * - Ensuring non-hover elements remain unaffected
  * - Handling dynamic content within hover menus
+ * - Hiding the menu again when the pointer moves away
  *
  * Author: Omar Rizk
  */
 
 /// <reference types="cypress" />
 
+import { AutomationPracticePage } from "../pages/AutomationPracticePage";
+
 describe("Mouse Hover Interactions", () => {
+  const page = new AutomationPracticePage();
+  const { hoverMenu } = page;
+
   beforeEach(() => {
-    cy.visit("/");
+    page.visit();
+
+    // Start with the pointer away from the hover menu
+    hoverMenu.moveAway();
+    hoverMenu.menu().should("not.be.visible");
   });
 
   it("[hover-TC001] Should display hidden element upon mouse hover", () => {
-    // Force display of the hidden menu using jQuery
-    cy.get(".mouse-hover-content").invoke("show");
+    // Move the mouse over the "Mouse Hover" button
+    hoverMenu.open();
 
     // Verify the element is now visible
-    cy.get(".mouse-hover-content").should("be.visible");
+    hoverMenu.menu().should("be.visible");
   });
 
   it("[hover-TC002] Should click 'Top' link after mouse hover", () => {
-    // Force show the hidden hover menu
-    cy.get(".mouse-hover-content").invoke("show");
+    // Open the hover menu with the mouse
+    hoverMenu.open();
 
-    // Click the 'Top' link inside the hover menu
-    cy.get(".mouse-hover-content a").contains("Top").click();
+    // Move onto the 'Top' link and click it with the real mouse
+    hoverMenu.link("Top").realClick();
 
     // Verify the URL now contains the #top anchor
     cy.url().should("include", "#top");
@@ -44,29 +59,37 @@ describe("Mouse Hover Interactions", () => {
     // Ensure another unrelated element remains visible
     cy.get("body").should("be.visible");
 
-    // Force show the hover menu
-    cy.get(".mouse-hover-content").invoke("show");
+    // Open the hover menu with the mouse
+    hoverMenu.open();
 
     // Ensure other elements are still unaffected
     cy.get("body").should("be.visible");
   });
 
-  it("[hover-TC004] Should hide hover menu when clicking outside", () => {
-    // Force show the hover menu
-    cy.get(".mouse-hover-content").invoke("show");
+  it("[hover-TC004] Should hide hover menu when the mouse moves away", () => {
+    // Open the hover menu with the mouse
+    hoverMenu.open();
+    hoverMenu.menu().should("be.visible");
 
-    // Click outside the hover menu
-    cy.get("body").click({ force: true });
+    // Move the pointer away from the menu
+    hoverMenu.moveAway();
 
     // Verify that the hover menu is now hidden
-    cy.get(".mouse-hover-content").should("not.be.visible");
+    hoverMenu.menu().should("not.be.visible");
   });
 
   it("[hover-TC005] Should verify dynamic content inside hover menu", () => {
-    // Force show the hover menu
-    cy.get(".mouse-hover-content").invoke("show");
+    // Open the hover menu with the mouse
+    hoverMenu.open();
 
     // Verify expected links exist
-    cy.get(".mouse-hover-content a").should("have.length.at.least", 1);
+    hoverMenu.links().should("have.length.at.least", 1);
+  });
+
+  it("[hover-TC006] Audits the open hover menu for accessibility violations", () => {
+    hoverMenu.open();
+    hoverMenu.menu().should("be.visible");
+
+    cy.checkA11y(hoverMenu);
   });
 });
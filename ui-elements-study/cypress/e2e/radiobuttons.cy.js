@@ -15,72 +15,63 @@
 
 /// <reference types="cypress" />
 
+import { AutomationPracticePage } from "../pages/AutomationPracticePage";
+
 describe("Radio Button Tests", () => {
-  const radioSelector = 'input[name="radioButton"]';
+  const page = new AutomationPracticePage();
+  const { radios } = page;
 
   beforeEach(() => {
     // Visit the target webpage before each test case
-    cy.visit("/");
+    page.visit();
 
     // Verify that the expected number of radio buttons exist before proceeding
-    cy.get(radioSelector).as("radioButtons").should("have.length", 3);
+    radios.all().should("have.length", 3);
   });
 
   it("[Radio_TC001] Selects a radio button by value", () => {
     // Select a radio button based on its value attribute
-    cy.get("@radioButtons")
-      .filter('[value="radio1"]') // The 'filter' method is used to find the specific radio button with value 'radio1'
-      .check()
-      .should("be.checked");
+    radios.select("radio1").should("be.checked");
   });
 
   it("[Radio_TC002] Selects a radio button using index", () => {
-    // Use the 'eq' method to select the third radio button (index 2)
-    cy.get("@radioButtons").eq(2).check().should("be.checked");
+    // Select the third radio button (index 2)
+    radios.select(2).should("be.checked");
   });
 
   it("[Radio_TC003] Ensures only one radio button is selected at a time and previous selection is cleared", () => {
     // Select first radio button and verify it's checked
-    cy.get("@radioButtons")
-      .filter('[value="radio1"]')
-      .check()
-      .should("be.checked");
+    radios.select("radio1").should("be.checked");
 
     // Select another radio button and verify it's checked
-    cy.get("@radioButtons")
-      .filter('[value="radio3"]')
-      .check()
-      .should("be.checked");
+    radios.select("radio3").should("be.checked");
 
     // Ensure the first one is now unchecked
-    cy.get("@radioButtons").filter('[value="radio1"]').should("not.be.checked");
+    radios.option("radio1").should("not.be.checked");
   });
 
   it("[Radio_TC004] Persists radio button selection after page reload", () => {
     // Select a specific radio button (value='radio2') and confirm selection
-    cy.get("@radioButtons")
-      .filter('[value="radio2"]')
-      .check()
-      .should("be.checked");
+    radios.select("radio2").should("be.checked");
 
     // Reload the page
     cy.reload();
 
     // Verify that the selection is retained after the reload
-    cy.get("@radioButtons").filter('[value="radio2"]').should("be.checked");
+    radios.option("radio2").should("be.checked");
   });
 
   it("[Radio_TC005] Waits for dynamically loaded radio buttons and interacts", () => {
     // Ensure dynamically loaded radio buttons exist before proceeding
-    cy.get("@radioButtons").should("have.length.at.least", 3);
+    radios.all().should("have.length.at.least", 3);
 
     // Select the last dynamically loaded radio button and verify selection
-    cy.get("@radioButtons").last().check().should("be.checked");
+    radios.all().last().check().should("be.checked");
   });
 
   it("[Radio_TC006] Handles radio button interactions with async behavior", () => {
     // Use 'then' to work with the resolved list of radio buttons
-    cy.get("@radioButtons").then(($buttons) => {
+    radios.all().then(($buttons) => {
       // Verify the expected number of radio buttons are present
       expect($buttons).to.have.length(3);
 
@@ -97,4 +88,25 @@ describe("Radio Button Tests", () => {
       cy.wrap($buttons.eq(0)).should("not.be.checked");
     });
   });
+
+  it("[Radio_TC007] Audits the section for accessibility violations", () => {
+    radios.select("radio2");
+    cy.checkA11y(radios);
+  });
+
+  it("[Radio_TC008] Selects radio buttons with the keyboard like a keyboard user", () => {
+    const radio = (value) => `${radios.selectors.radios}[value="${value}"]`;
+
+    // The group is a single tab stop: Tab leaves it for the autocomplete input
+    cy.assertFocusOrder([radio("radio1"), page.autocomplete.selectors.input]);
+
+    // Space checks the focused radio, arrow keys move the selection
+    radios.option("radio1").focus();
+    cy.realPress("Space");
+    radios.option("radio1").should("be.checked");
+
+    cy.realPress("ArrowDown");
+    radios.option("radio2").should("be.checked").and("have.focus");
+    radios.option("radio1").should("not.be.checked");
+  });
 });
@@ -11,6 +11,9 @@
  * - Verifying all cell values in a column
  * - Verifying all cell values in a row
  * - Dynamically retrieving the price of a course containing "Jenkins" in its title
+ * - Reading tables as row objects (cy.readTable) for the courses and the
+ *   fixed-header customers table: fixture comparison, column sums, sort order
+ *   and uniqueness
  *
  * Author: Omar Rizk
  */
@@ -18,39 +21,40 @@
 /// <reference types="cypress" />
 // This directive tells the editor to use Cypress type definitions for autocompletion
 
+import { AutomationPracticePage } from "../pages/AutomationPracticePage";
+
 describe("Web Tables Test Suite", () => {
+  const page = new AutomationPracticePage();
+  const { tables } = page;
+
   beforeEach(() => {
-    cy.visit("/"); // Visit the base URL before each test
-    cy.get('#product[name="courses"]').as("coursesTable"); // Alias the table for easier reference
+    page.visit(); // Visit the base URL before each test
   });
 
   it("[table-TC001] Verify table headers", () => {
-    cy.get("@coursesTable").find("th").should("have.length", 3); // Verify the number of headers
-    cy.get("@coursesTable").find("th").eq(0).should("have.text", "Instructor"); // Verify the text of the first header
-    cy.get("@coursesTable").find("th").eq(1).should("have.text", "Course"); // Verify the text of the second header
-    cy.get("@coursesTable").find("th").eq(2).should("have.text", "Price"); // Verify the text of the third header
+    tables.courseHeaders().should("have.length", 3); // Verify the number of headers
+    tables.courseHeaders().eq(0).should("have.text", "Instructor"); // Verify the text of the first header
+    tables.courseHeaders().eq(1).should("have.text", "Course"); // Verify the text of the second header
+    tables.courseHeaders().eq(2).should("have.text", "Price"); // Verify the text of the third header
   });
 
   it("[table-TC002] Verify table row count", () => {
-    cy.get("@coursesTable").find("tr").should("have.length", 11); // Verify the number of rows (1 header row + 10 data rows)
+    tables.courseRows().should("have.length", 11); // Verify the number of rows (1 header row + 10 data rows)
   });
 
   it("[table-TC003] Verify table column count", () => {
-    cy.get("@coursesTable")
-      .find("tr")
-      .each(($row) => {
-        cy.wrap($row).find("td, th").should("have.length", 3); // Verify the number of columns in each row
-      });
+    tables.courseRows().each(($row) => {
+      cy.wrap($row).find("td, th").should("have.length", 3); // Verify the number of columns in each row
+    });
   });
 
   it("[table-TC004] Verify specific cell value", () => {
-    cy.get("@coursesTable")
-      .find("tr")
-      .eq(1)
-      .find("td")
-      .eq(1)
+    tables
+      .readCourses()
+      .its(0) // First data row
       .should(
-        "have.text",
+        "have.property",
+        "Course",
         "Selenium Webdriver with Java Basics + Advanced + Interview Guide"
       ); // Verify the text of a specific cell
   });
@@ -68,66 +72,44 @@ describe("Web Tables Test Suite", () => {
       "20",
       "0",
     ]; // Expected values for the Price column
-    cy.get("@coursesTable")
-      .find("tr")
-      .not(":first")
-      .each(($row, index) => {
-        cy.wrap($row)
-          .find("td")
-          .eq(2)
-          .should("have.text", expectedPrices[index]); // Verify the text of each cell in the Price column
-      });
+    tables.readCourses().then((courses) => {
+      expect(courses.map((course) => course.Price)).to.deep.equal(
+        expectedPrices
+      ); // Verify the text of each cell in the Price column
+    });
   });
 
   it("[table-TC006] Verify all cell values in a row", () => {
-    const expectedRow = [
-      "Rahul Shetty",
-      "Learn SQL in Practical + Database Testing from Scratch",
-      "25",
-    ]; // Expected values for a specific row
-    cy.get("@coursesTable")
-      .find("tr")
-      .eq(2)
-      .find("td")
-      .each(($cell, index) => {
-        cy.wrap($cell).should("have.text", expectedRow[index]); // Verify the text of each cell in the specified row
-      });
+    tables
+      .readCourses()
+      .its(1) // Second data row
+      .should("deep.equal", {
+        Instructor: "Rahul Shetty",
+        Course: "Learn SQL in Practical + Database Testing from Scratch",
+        Price: "25",
+      }); // Verify the values of each cell in the specified row
   });
 
   it("[table-TC007] Verify price of course containing 'Jenkins' in title", () => {
-    cy.get("@coursesTable")
-      .find("tr")
-      .not(":first") // Exclude the header row
-      .each(($row) => {
-        cy.wrap($row)
-          .find("td")
-          .eq(1) // Select the Course column
-          .invoke("text")
-          .then((courseTitle) => {
-            if (courseTitle.includes("Jenkins")) {
-              cy.wrap($row)
-                .find("td")
-                .eq(2) // Select the Price column
-                .invoke("text")
-                .then((price) => {
-                  cy.log(`The price of '${courseTitle}' is $${price}`);
-                  expect(price).to.equal("20"); // Ensure price is correct
-                });
-            }
-          });
+    tables
+      .readCourses()
+      .should("have.rowWhere", (course) => course.Course.includes("Jenkins"))
+      .then((course) => {
+        cy.log(`The price of '${course.Course}' is $${course.Price}`);
+        expect(course.Price).to.equal("20"); // Ensure price is correct
       });
   });
 
-  it.only("[table-TC008] Verify price of course containing 'Jenkins' in title (using specific column selector)", () => {
-    cy.get("@coursesTable")
-      .find("tr td:nth-child(2)") // Grab all Course column cells directly
+  it("[table-TC008] Verify price of course containing 'Jenkins' in title (using specific column selector)", () => {
+    tables
+      .courseColumnCells(2) // Grab all Course column cells directly
       .each(($cell, index) => {
         cy.wrap($cell)
           .invoke("text")
           .then((courseTitle) => {
             if (courseTitle.includes("Jenkins")) {
-              cy.get("@coursesTable")
-                .find(`tr td:nth-child(3)`) // Grab all Price column cells
+              tables
+                .courseColumnCells(3) // Grab all Price column cells
                 .eq(index) // Get the corresponding row's price
                 .invoke("text")
                 .then((price) => {
@@ -138,4 +120,53 @@ describe("Web Tables Test Suite", () => {
           });
       });
   });
+
+  it("[table-TC009] Verify the courses table matches the expected rows", () => {
+    cy.fixture("tables/courses").then((expectedCourses) => {
+      tables.readCourses().should("matchRows", expectedCourses); // Lists every differing cell on failure
+    });
+  });
+
+  it("[table-TC010] Verify the customers table (fixed header) is read by header", () => {
+    cy.fixture("tables/customers").then((expectedCustomers) => {
+      tables.readCustomers().should("matchRows", expectedCustomers);
+    });
+
+    tables
+      .readCustomers()
+      .should("have.rowWhere", { Name: "Joe" })
+      .and("include", { Position: "Postman", City: "Chennai" }); // The matching row becomes the subject
+  });
+
+  it("[table-TC011] Verify customer amounts add up to the displayed total", () => {
+    tables.totalAmount().then(($total) => {
+      const displayedTotal = Number($total.text().match(/\d+/)[0]);
+
+      tables.readCustomers().should("have.columnSum", "Amount", displayedTotal);
+    });
+  });
+
+  it("[table-TC012] Verify sort order and uniqueness of table columns", () => {
+    tables
+      .readCustomers()
+      .should("be.sortedBy", "Name") // Customers are listed alphabetically
+      .and("have.uniqueBy", "Name");
+
+    tables.readCourses().should("have.uniqueBy", "Course");
+    tables.readCourses().should("not.be.sortedBy", "Price", { numeric: true }); // Prices are not ordered
+  });
+
+  it("[table-TC013] Verify no course is free except the resume guide", () => {
+    tables.readCourses().should((rows) => {
+      const freeCourses = rows.filter(({ Price }) => Price === "0");
+
+      // Exactly one free row, and it is the resume guide
+      expect(freeCourses).to.have.length(1);
+      expect(freeCourses[0].Course).to.match(/QA Resume/);
+    });
+  });
+
+  it("[table-TC014] Audits both tables for accessibility violations", () => {
+    cy.checkA11y(tables);
+  });
 });
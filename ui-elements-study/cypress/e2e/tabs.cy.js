@@ -1,17 +1,18 @@
 /**
- * Cypress Test Suite: Handling New Tabs
- * -------------------------------------
- * This test suite verifies Cypress interactions with new tabs
- * that open via `<a href target="_blank">`.
+ * Cypress Test Suite: Handling New Tabs and Windows
+ * -------------------------------------------------
+ * This test suite verifies Cypress interactions with pages that open in a new
+ * tab (`<a href target="_blank">`) or window (`window.open()`).
  *
- * Cypress does not support switching tabs, so we:
- * - Remove the `target` attribute to force opening in the same tab
- * - Use `cy.origin()` to handle cross-origin navigation
+ * Cypress does not support switching tabs, so `cy.followNewWindow()`
+ * (cypress/support/windows.js) captures the new page, follows it in the same
+ * runner (wrapped in `cy.origin()` when it is on another origin) and then
+ * returns to the original page with its state intact.
  *
  * Test Coverage:
  * - Ensuring 'Open Tab' link exists and has the correct href
- * - Handling tab navigation with `cy.origin()`
- * - Extracting and manually visiting new tab URLs *
+ * - Following the new tab and the new window
+ * - Returning to the original page with its form state
  * -------------------------------------
  * Author: Omar Rizk
  */
@@ -19,62 +20,87 @@
 /// <reference types="cypress" />
 // This directive tells the editor to use Cypress type definitions for autocompletion
 
+import { AutomationPracticePage } from "../pages/AutomationPracticePage";
+
 describe("New Tab Handling Tests", () => {
   // The describe block groups related tests together
+  const page = new AutomationPracticePage();
+  const { windows, checkboxes, staticDropdown } = page;
 
   beforeEach(() => {
     // beforeEach hook runs before each test case
     // Visit the test page before each test to ensure a clean state
-    cy.visit("/");
+    page.visit();
   });
 
   it("[tab_TC001] Verifies 'Open Tab' button is present and clickable", () => {
     // Test case 1: Checks if the button exists and can be clicked
-    // The #opentab selector targets an element with id="opentab"
-    cy.get("#opentab")
+    // The page object resolves the "Open Tab" link (id="opentab")
+    windows
+      .openTabLink()
       .should("be.visible") // Ensures the element is visible on the page
       .and("contain", "Open Tab") // Verifies the element contains the text "Open Tab"
       .click(); // Performs a click action on the element
-    // Note: This test doesn't handle the new tab that would open in a real browser
+    // Note: This test doesn't follow the new tab, see tab_TC003
   });
 
   it("[tab_TC002] Verifies 'Open Tab' link is present and correct", () => {
     // Test case 2: Validates the link's href attribute
-    cy.get("#opentab")
+    windows
+      .openTabLink()
       .should("be.visible") // Confirms the element is visible
       .and("have.attr", "href") // Checks that the element has an href attribute
       .and("include", "qaclickacademy.com"); // Verifies the href contains the expected domain
     // This test ensures the link points to the correct website without clicking it
   });
 
-  it("[tab_TC003] Opens the new tab in the same Cypress window", () => {
-    // Test case 3: Demonstrates how to handle links that open in new tabs
-    // Remove the target="_blank" attribute to force the link to open in the same window
-    cy.get("#opentab").invoke("removeAttr", "target").click();
-
-    // cy.origin() allows testing on a different domain than the one we started on
-    // This is necessary because Cypress has same-origin restrictions by default
-    cy.origin("https://www.qaclickacademy.com", () => {
-      // These commands run in the context of the new domain
+  it("[tab_TC003] Follows the new tab in the same Cypress window", () => {
+    // Test case 3: The click is captured and the new tab's page is visited
+    // The callback runs inside cy.origin() since the site is on another domain
+    windows.openTab(() => {
       cy.url().should("include", "qaclickacademy.com"); // Verifies we navigated to the correct domain
       cy.title().should("contain", "QAClick Academy"); // Checks the page title contains expected text
     });
+
+    // Back on the practice page afterwards
+    windows.openTabLink().should("be.visible");
+  });
+
+  it("[tab_TC004] Follows the window opened by 'Open Window'", () => {
+    // Test case 4: window.open() is captured the same way as target="_blank"
+    windows
+      .openWindow(() => {
+        cy.contains("Welcome to QAClick Academy").should("be.visible");
+      })
+      .should("include", "qaclickacademy.com"); // Yields the URL that was opened
   });
 
-  it("[tab_TC004] Extracts new tab URL and visits it manually", () => {
-    // Test case 4: Alternative approach - extract the URL and navigate to it directly
-    cy.get("#opentab").then(($link) => {
-      // Use jQuery's prop() method to get the href property value
-      const newTabUrl = $link.prop("href");
-      // Directly visit the URL instead of clicking the link
-      cy.visit(newTabUrl);
+  it("[tab_TC005] Returns to the original page with its state intact", () => {
+    // Test case 5: Form state survives the trip to the new tab
+    checkboxes.select("option2");
+    staticDropdown.choose("option3");
+
+    windows.openTab(() => {
+      cy.title().should("contain", "QAClick Academy");
     });
 
-    // After visiting the new URL, verify we're on the expected page
+    checkboxes.option("option2").should("be.checked");
+    staticDropdown.dropdown().should("have.value", "option3");
+  });
+
+  it("[tab_TC006] Stays on the new tab until returning explicitly", () => {
+    // Test case 6: Without a callback the runner stays on the new page
+    windows.openTab();
+
     cy.origin("https://www.qaclickacademy.com", () => {
-      cy.url().should("include", "qaclickacademy.com"); // Confirm the URL
-      // Look for specific content on the page to verify we're in the right place
       cy.contains("Welcome to QAClick Academy").should("be.visible");
     });
+
+    cy.returnToOriginalWindow();
+    windows.openTabLink().should("be.visible");
+  });
+
+  it("[tab_TC007] Audits the window and tab sections for accessibility violations", () => {
+    cy.checkA11y(windows);
   });
 });
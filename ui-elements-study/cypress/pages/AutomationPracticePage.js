@@ -0,0 +1,46 @@
+/**
+ * Page Object Model: Rahul Shetty Academy "Practice Page" (AutomationPractice)
+ * ---------------------------------------------------------------------------
+ * One object per section of the page, each exposing intent-level actions
+ * (`checkboxes.select(0)`, `autocomplete.choose("Egypt")`) and queries
+ * (`tables.coursesTable()`). Specs never use raw selectors, so a markup change is
+ * fixed here only.
+ *
+ * @example
+ * import { AutomationPracticePage } from "../pages/AutomationPracticePage";
+ *
+ * const page = new AutomationPracticePage();
+ * page.visit();
+ * page.checkboxes.select("option1").should("be.checked");
+ *
+ * Author: Omar Rizk
+ */
+
+import { AlertsSection } from "./sections/AlertsSection";
+import { AutocompleteSection } from "./sections/AutocompleteSection";
+import { CheckboxesSection } from "./sections/CheckboxesSection";
+import { ElementDisplaySection } from "./sections/ElementDisplaySection";
+import { HoverMenuSection } from "./sections/HoverMenuSection";
+import { RadioButtonsSection } from "./sections/RadioButtonsSection";
+import { StaticDropdownSection } from "./sections/StaticDropdownSection";
+import { WebTablesSection } from "./sections/WebTablesSection";
+import { WindowsSection } from "./sections/WindowsSection";
+
+export class AutomationPracticePage {
+  constructor() {
+    this.checkboxes = new CheckboxesSection();
+    this.radios = new RadioButtonsSection();
+    this.staticDropdown = new StaticDropdownSection();
+    this.autocomplete = new AutocompleteSection();
+    this.elementDisplay = new ElementDisplaySection();
+    this.tables = new WebTablesSection();
+    this.hoverMenu = new HoverMenuSection();
+    this.windows = new WindowsSection();
+    this.alerts = new AlertsSection();
+  }
+
+  /** Opens the practice page (baseUrl). */
+  visit() {
+    return cy.visit("/");
+  }
+}
@@ -0,0 +1,40 @@
+import { Section } from "./Section";
+
+/**
+ * Page object: "Switch To Alert Example" section.
+ */
+export class AlertsSection extends Section {
+  constructor() {
+    super();
+    this.selectors = {
+      root: "fieldset:has(#alertbtn)",
+      nameInput: "#name",
+      alertButton: "#alertbtn",
+      confirmButton: "#confirmbtn",
+    };
+  }
+
+  nameInput() {
+    return cy.get(this.selectors.nameInput);
+  }
+
+  alertButton() {
+    return cy.get(this.selectors.alertButton);
+  }
+
+  confirmButton() {
+    return cy.get(this.selectors.confirmButton);
+  }
+
+  enterName(name) {
+    return this.nameInput().type(name);
+  }
+
+  triggerAlert() {
+    return this.alertButton().click();
+  }
+
+  triggerConfirm() {
+    return this.confirmButton().click();
+  }
+}
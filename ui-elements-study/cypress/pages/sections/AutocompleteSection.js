@@ -0,0 +1,64 @@
+import { Section } from "./Section";
+
+/**
+ * Page object: "Suggession Class Example" section (jQuery UI country autocomplete).
+ */
+export class AutocompleteSection extends Section {
+  constructor() {
+    super();
+    this.selectors = {
+      root: "#select-class-example, .ui-autocomplete",
+      input: "#autocomplete",
+      suggestions: ".ui-menu-item",
+    };
+  }
+
+  input() {
+    return cy.get(this.selectors.input);
+  }
+
+  /** The suggestion items currently rendered by the widget. */
+  suggestions() {
+    return cy.get(this.selectors.suggestions);
+  }
+
+  /**
+   * The suggestion whose text is exactly `text` ("India", not "British Indian
+   * Ocean Territory").
+   */
+  suggestion(text) {
+    const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return this.suggestions().contains(new RegExp(`^${escaped}$`));
+  }
+
+  /** Types `query` into the input (without clearing it first). */
+  search(query) {
+    return this.input().type(query);
+  }
+
+  /** Clicks the suggestion for `country`. */
+  choose(country) {
+    return this.suggestion(country).click();
+  }
+
+  /**
+   * Types `query` and selects `expected` once the suggestions settle (see
+   * `cy.selectAutocomplete`). Arrays select several countries in a row.
+   *
+   * @param {string|string[]} query
+   * @param {string|string[]} expected
+   * @param {{ via?: "click"|"keyboard", clear?: boolean }} [options]
+   */
+  select(query, expected, options) {
+    return cy.selectAutocomplete(
+      this.selectors.input,
+      query,
+      expected,
+      options
+    );
+  }
+
+  clear() {
+    return this.input().clear();
+  }
+}
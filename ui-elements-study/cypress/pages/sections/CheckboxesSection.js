@@ -0,0 +1,41 @@
+import { Section } from "./Section";
+
+/**
+ * Page object: "Checkbox Example" section (three checkboxes, option1..option3).
+ */
+export class CheckboxesSection extends Section {
+  constructor() {
+    super();
+    this.selectors = {
+      root: "#checkbox-example",
+      checkboxes: 'input[type="checkbox"]',
+    };
+  }
+
+  /** All checkboxes of the section. */
+  all() {
+    return cy.get(this.selectors.checkboxes);
+  }
+
+  /**
+   * A single checkbox, by index (0-based) or by value ("option1").
+   * @param {number|string} indexOrValue
+   */
+  option(indexOrValue) {
+    return typeof indexOrValue === "number"
+      ? this.all().eq(indexOrValue)
+      : this.all().filter(`[value="${indexOrValue}"]`);
+  }
+
+  select(indexOrValue) {
+    return this.option(indexOrValue).check();
+  }
+
+  deselect(indexOrValue) {
+    return this.option(indexOrValue).uncheck();
+  }
+
+  selectAll() {
+    return this.all().check();
+  }
+}
@@ -0,0 +1,36 @@
+import { Section } from "./Section";
+
+/**
+ * Page object: "Element Displayed Example" section (show/hide text box).
+ */
+export class ElementDisplaySection extends Section {
+  constructor() {
+    super();
+    this.selectors = {
+      root: "fieldset:has(#displayed-text)",
+      hideButton: "#hide-textbox",
+      showButton: "#show-textbox",
+      textBox: "#displayed-text",
+    };
+  }
+
+  hideButton() {
+    return cy.get(this.selectors.hideButton);
+  }
+
+  showButton() {
+    return cy.get(this.selectors.showButton);
+  }
+
+  textBox() {
+    return cy.get(this.selectors.textBox);
+  }
+
+  hide() {
+    return this.hideButton().click();
+  }
+
+  show() {
+    return this.showButton().click();
+  }
+}
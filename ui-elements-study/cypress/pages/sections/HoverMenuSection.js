@@ -0,0 +1,46 @@
+import { Section } from "./Section";
+
+/**
+ * Page object: "Mouse Hover Example" section.
+ */
+export class HoverMenuSection extends Section {
+  constructor() {
+    super();
+    this.selectors = {
+      root: "fieldset:has(.mouse-hover)",
+      trigger: "#mousehover",
+      menu: ".mouse-hover-content",
+      links: ".mouse-hover-content a",
+      // Where the pointer rests away from the menu: the page heading
+      awayFromMenu: "h1",
+    };
+  }
+
+  /** The "Mouse Hover" button that opens the menu. */
+  trigger() {
+    return cy.get(this.selectors.trigger);
+  }
+
+  menu() {
+    return cy.get(this.selectors.menu);
+  }
+
+  links() {
+    return cy.get(this.selectors.links);
+  }
+
+  /** The menu link with the given text ("Top", "Reload"). */
+  link(text) {
+    return this.links().contains(text);
+  }
+
+  /** Opens the menu by moving the real mouse pointer over the trigger (CSS :hover). */
+  open() {
+    return this.trigger().realHover();
+  }
+
+  /** Moves the real mouse pointer off the menu, which closes it. */
+  moveAway() {
+    return cy.get(this.selectors.awayFromMenu).realHover();
+  }
+}
@@ -0,0 +1,33 @@
+import { Section } from "./Section";
+
+/**
+ * Page object: "Radio Button Example" section (radio1..radio3).
+ */
+export class RadioButtonsSection extends Section {
+  constructor() {
+    super();
+    this.selectors = {
+      root: "#radio-btn-example",
+      radios: 'input[name="radioButton"]',
+    };
+  }
+
+  /** All radio buttons of the group. */
+  all() {
+    return cy.get(this.selectors.radios);
+  }
+
+  /**
+   * A single radio button, by index (0-based) or by value ("radio1").
+   * @param {number|string} indexOrValue
+   */
+  option(indexOrValue) {
+    return typeof indexOrValue === "number"
+      ? this.all().eq(indexOrValue)
+      : this.all().filter(`[value="${indexOrValue}"]`);
+  }
+
+  select(indexOrValue) {
+    return this.option(indexOrValue).check();
+  }
+}
@@ -0,0 +1,10 @@
+/**
+ * Base of the section page objects: each sets `selectors.root` to the section
+ * container, which `cy.checkA11y` also uses as its context.
+ */
+export class Section {
+  /** The section container(s). */
+  root() {
+    return cy.get(this.selectors.root);
+  }
+}
@@ -0,0 +1,30 @@
+import { Section } from "./Section";
+
+/**
+ * Page object: "Dropdown Example" section (static <select>).
+ */
+export class StaticDropdownSection extends Section {
+  constructor() {
+    super();
+    this.selectors = {
+      root: "fieldset:has(#dropdown-class-example)",
+      dropdown: "#dropdown-class-example",
+    };
+  }
+
+  dropdown() {
+    return cy.get(this.selectors.dropdown);
+  }
+
+  options() {
+    return this.dropdown().find("option");
+  }
+
+  /**
+   * Selects an option by value ("option1"), visible text ("Option1") or index.
+   * @param {string|number} valueTextOrIndex
+   */
+  choose(valueTextOrIndex) {
+    return this.dropdown().select(valueTextOrIndex);
+  }
+}
@@ -0,0 +1,66 @@
+import { Section } from "./Section";
+
+/**
+ * Page object: "Web Table Example" (courses) and "Web Table Fixed header" (customers).
+ */
+export class WebTablesSection extends Section {
+  constructor() {
+    super();
+    this.selectors = {
+      root: "fieldset:has(#product)",
+      coursesTable: '#product[name="courses"]',
+      customersTable: ".tableFixHead #product",
+      totalAmount: ".totalAmount",
+    };
+  }
+
+  coursesTable() {
+    return cy.get(this.selectors.coursesTable);
+  }
+
+  customersTable() {
+    return cy.get(this.selectors.customersTable);
+  }
+
+  /** "Total Amount Collected: 296" line under the customers table. */
+  totalAmount() {
+    return cy.get(this.selectors.totalAmount);
+  }
+
+  /** The courses table as row objects ({ Instructor, Course, Price }). */
+  readCourses() {
+    return cy.readTable(this.selectors.coursesTable);
+  }
+
+  /** The customers table as row objects ({ Name, Position, City, Amount }). */
+  readCustomers() {
+    return cy.readTable(this.selectors.customersTable);
+  }
+
+  /** Header cells of the courses table. */
+  courseHeaders() {
+    return this.coursesTable().find("th");
+  }
+
+  /** All rows of the courses table, header row included. */
+  courseRows() {
+    return this.coursesTable().find("tr");
+  }
+
+  /** Data rows of the courses table (header row excluded). */
+  courseDataRows() {
+    return this.courseRows().not(":first");
+  }
+
+  /**
+   * A cell of the courses table by row index (0 = header row) and column index.
+   */
+  courseCell(rowIndex, columnIndex) {
+    return this.courseRows().eq(rowIndex).find("td").eq(columnIndex);
+  }
+
+  /** Every cell of a courses table column (1-based, as in :nth-child). */
+  courseColumnCells(columnNumber) {
+    return this.coursesTable().find(`tr td:nth-child(${columnNumber})`);
+  }
+}
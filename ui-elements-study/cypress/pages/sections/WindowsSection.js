@@ -0,0 +1,39 @@
+import { Section } from "./Section";
+
+/**
+ * Page object: "Switch Window Example" and "Switch Tab Example" sections.
+ */
+export class WindowsSection extends Section {
+  constructor() {
+    super();
+    this.selectors = {
+      root: "fieldset:has(#openwindow), fieldset:has(#opentab)",
+      openWindowButton: "#openwindow",
+      openTabLink: "#opentab",
+    };
+  }
+
+  openWindowButton() {
+    return cy.get(this.selectors.openWindowButton);
+  }
+
+  openTabLink() {
+    return cy.get(this.selectors.openTabLink);
+  }
+
+  /**
+   * Clicks "Open Tab" and follows the new tab in the runner (see
+   * cypress/support/windows.js). `inNewTab` runs inside `cy.origin()`.
+   */
+  openTab(inNewTab) {
+    return cy.followNewWindow(() => this.openTabLink().click(), inNewTab);
+  }
+
+  /** Clicks "Open Window" (`window.open`) and follows the new window. */
+  openWindow(inNewWindow) {
+    return cy.followNewWindow(
+      () => this.openWindowButton().click(),
+      inNewWindow
+    );
+  }
+}
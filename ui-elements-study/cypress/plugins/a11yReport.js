@@ -0,0 +1,94 @@
+/**
+ * @file Accessibility report
+ * @description Collects the results of every `cy.checkA11y` (see
+ * `cypress/support/a11y.js`) through the `a11y:record` task and writes them at
+ * the end of the run to `cypress/reports/a11y/`:
+ *
+ * - `a11y-report.json` - every audit: spec, test, context, failing and
+ *   allowlisted violations with their node selectors
+ * - `a11y-report.md` - one row per violation, for reading in CI artifacts
+ *
+ * `after:run` fires in `cypress run` only, so `cypress open` writes no report.
+ *
+ * @author Omar Rizk
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const REPORT_DIR = path.join(__dirname, "..", "reports", "a11y");
+
+function markdownRows(audits, key, status) {
+  return audits.flatMap((audit) =>
+    audit[key].map(
+      (violation) =>
+        `| ${status} | ${audit.spec} | ${audit.test} | \`${audit.context}\` | ${violation.impact} | [${violation.id}](${violation.helpUrl}) | ${violation.nodes.map((node) => `\`${node}\``).join("<br>")} |`
+    )
+  );
+}
+
+function markdownReport(audits) {
+  const failing = audits.reduce(
+    (count, audit) => count + audit.violations.length,
+    0
+  );
+  const allowlisted = audits.reduce(
+    (count, audit) => count + audit.allowlisted.length,
+    0
+  );
+  const rows = [
+    ...markdownRows(audits, "violations", "fail"),
+    ...markdownRows(audits, "allowlisted", "allowlisted"),
+  ];
+
+  return [
+    "# Accessibility report",
+    "",
+    `${audits.length} audit(s), ${failing} failing and ${allowlisted} allowlisted violation(s).`,
+    "",
+    ...(rows.length
+      ? [
+          "| Status | Spec | Test | Context | Impact | Rule | Nodes |",
+          "| --- | --- | --- | --- | --- | --- | --- |",
+          ...rows,
+        ]
+      : ["No violations."]),
+    "",
+  ].join("\n");
+}
+
+/**
+ * Registers the `a11y:record` task and writes the report after the run.
+ *
+ * @param {Function} on - `on` from `setupNodeEvents`.
+ * @param {string} [reportDir]
+ */
+function a11yReport(on, reportDir = REPORT_DIR) {
+  const audits = [];
+
+  on("task", {
+    "a11y:record"(audit) {
+      audits.push(audit);
+      return null;
+    },
+  });
+
+  on("after:run", () => {
+    if (!audits.length) {
+      return;
+    }
+
+    fs.mkdirSync(reportDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(reportDir, "a11y-report.json"),
+      `${JSON.stringify(audits, null, 2)}\n`
+    );
+    fs.writeFileSync(
+      path.join(reportDir, "a11y-report.md"),
+      markdownReport(audits)
+    );
+    console.log(`Accessibility report written to ${reportDir}`);
+  });
+}
+
+module.exports = { a11yReport };
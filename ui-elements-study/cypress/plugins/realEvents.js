@@ -0,0 +1,116 @@
+/**
+ * @file Real input events
+ * @description Node side of `cy.realHover`, `cy.realClick` and `cy.realPress`
+ * (see `cypress/support/realEvents.js`).
+ *
+ * Cypress fires synthetic DOM events, which never trigger CSS `:hover` or other
+ * browser-level behaviour. These commands send real input through the Chrome
+ * DevTools Protocol instead: the `realEvents:dispatch` task connects to the
+ * browser's remote debugging port with `chrome-remote-interface` and runs
+ * `Input.dispatchMouseEvent` / `Input.dispatchKeyEvent` on the Cypress page.
+ *
+ * The debugging port comes from:
+ * - Chrome / Chromium / Edge: the `--remote-debugging-port` argument Cypress
+ *   launches the browser with (read in `before:browser:launch`).
+ * - Electron: the `ELECTRON_EXTRA_LAUNCH_ARGS` environment variable, which must
+ *   be set before Cypress starts (the npm scripts pass
+ *   `--remote-debugging-port=9222`).
+ *
+ * Firefox and WebKit are not supported.
+ *
+ * @author Omar Rizk
+ */
+
+const CDP = require("chrome-remote-interface");
+
+const PORT_ARG = /--remote-debugging-port=(\d+)/;
+
+/**
+ * Creates the real events plugin state and registers its events and task.
+ *
+ * @param {Function} on - `on` from `setupNodeEvents`.
+ */
+function realEvents(on) {
+  let port = null;
+  let browserName = null;
+  let client = null;
+
+  function electronPort() {
+    const match = (process.env.ELECTRON_EXTRA_LAUNCH_ARGS || "").match(
+      PORT_ARG
+    );
+    return match ? Number(match[1]) : null;
+  }
+
+  // The Cypress runner page; the app under test is an iframe inside it
+  function findRunnerTarget(targets) {
+    return (
+      targets.find(
+        (target) => target.type === "page" && target.url.includes("/__/")
+      ) || targets.find((target) => target.type === "page")
+    );
+  }
+
+  async function connect() {
+    if (client) {
+      return client;
+    }
+
+    const debuggingPort =
+      port || (browserName === "electron" ? electronPort() : null);
+    if (!debuggingPort) {
+      throw new Error(
+        browserName === "electron"
+          ? "Real events need a remote debugging port in Electron. Start Cypress with " +
+              "ELECTRON_EXTRA_LAUNCH_ARGS=--remote-debugging-port=9222 (see the npm scripts)."
+          : `Real events are not supported in ${browserName}. Use Chrome, Edge or Electron.`
+      );
+    }
+
+    client = await CDP({
+      host: "127.0.0.1",
+      port: debuggingPort,
+      target: findRunnerTarget,
+    });
+    client.on("disconnect", () => {
+      client = null;
+    });
+
+    return client;
+  }
+
+  on("before:browser:launch", (browser, launchOptions) => {
+    browserName = browser.name;
+    port = null;
+
+    if (browser.family === "chromium" && browser.name !== "electron") {
+      const arg = launchOptions.args.find((item) => PORT_ARG.test(item));
+      port = arg ? Number(arg.match(PORT_ARG)[1]) : null;
+    }
+
+    if (client) {
+      client.close();
+      client = null;
+    }
+
+    return launchOptions;
+  });
+
+  on("task", {
+    /**
+     * Sends CDP commands in order, e.g.
+     * `[{ method: "Input.dispatchMouseEvent", params: { type: "mouseMoved", x, y } }]`.
+     */
+    async "realEvents:dispatch"(commands) {
+      const cdp = await connect();
+
+      for (const { method, params } of commands) {
+        await cdp.send(method, params);
+      }
+
+      return null;
+    },
+  });
+}
+
+module.exports = { realEvents };
@@ -0,0 +1,127 @@
+/**
+ * @file Test data loader
+ * @description Loads the data-driven test cases in `cypress/fixtures/data` so specs
+ * can generate one `it` block per row (see `cypress/support/dataDriven.js`).
+ *
+ * Tests are declared synchronously when a spec loads, before `cy.fixture()` could
+ * run, so the files are read here in `setupNodeEvents` and handed to the specs as
+ * `Cypress.env("testData")`, keyed by file name without extension.
+ *
+ * - `*.json` - an array of row objects, used as-is.
+ * - `*.csv`  - first line is the header. A header ending in `[]` marks a list
+ *   column whose values are separated by `|` (`expectedSuggestions[]`). Empty
+ *   lines are ignored, values are strings.
+ *
+ * @author Omar Rizk
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_DATA_DIR = path.join(__dirname, "..", "fixtures", "data");
+
+/**
+ * Splits CSV text into records of fields (RFC 4180: quoted fields may contain
+ * commas, line breaks and doubled quotes).
+ */
+function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") {
+        index += 1;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter((fields) => fields.some((value) => value !== ""));
+}
+
+/**
+ * Parses CSV text into row objects keyed by the header line.
+ */
+function parseCsv(text) {
+  const [header, ...records] = parseCsvRecords(text.replace(/^\uFEFF/, ""));
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map((name) => ({
+    name: name.trim().replace(/\[\]$/, ""),
+    list: name.trim().endsWith("[]"),
+  }));
+
+  return records.map((fields) =>
+    columns.reduce((row, column, index) => {
+      const value = (fields[index] || "").trim();
+      row[column.name] = column.list
+        ? value
+            .split("|")
+            .map((item) => item.trim())
+            .filter(Boolean)
+        : value;
+      return row;
+    }, {})
+  );
+}
+
+/**
+ * Reads every JSON and CSV file of `dataDir`.
+ *
+ * @param {string} [dataDir]
+ * @returns {Object<string, object[]>} Rows by file name (without extension).
+ */
+function loadTestData(dataDir = DEFAULT_DATA_DIR) {
+  if (!fs.existsSync(dataDir)) {
+    return {};
+  }
+
+  return fs
+    .readdirSync(dataDir)
+    .filter((file) => [".json", ".csv"].includes(path.extname(file)))
+    .reduce((data, file) => {
+      const name = path.basename(file, path.extname(file));
+      const text = fs.readFileSync(path.join(dataDir, file), "utf8");
+
+      if (data[name]) {
+        throw new Error(`Test data "${name}" is defined twice in ${dataDir}`);
+      }
+
+      data[name] =
+        path.extname(file) === ".csv" ? parseCsv(text) : JSON.parse(text);
+      return data;
+    }, {});
+}
+
+module.exports = { loadTestData, parseCsv };
@@ -0,0 +1,172 @@
+/// <reference types="cypress" />
+
+import axe from "axe-core";
+
+/**
+ * @file Accessibility audits
+ * @description `cy.checkA11y(context, options)` injects axe-core into the page
+ * under test, audits `context` and fails on the violations found:
+ *
+ * - `context` - a selector, a page object section (its `selectors.root`), or
+ *   nothing for the whole page
+ * - `options.rules` - axe rule overrides, e.g. `{ "color-contrast": { enabled: false } }`
+ * - `options.impactThreshold` - lowest impact that fails the test: `"minor"`
+ *   (default), `"moderate"`, `"serious"` or `"critical"`
+ *
+ * Every violation is logged with the selectors of its nodes (click the log entry
+ * for the full axe result) and recorded for the accessibility report written at
+ * the end of the run (see `cypress/plugins/a11yReport.js`).
+ *
+ * Known issues of the third-party page are listed in
+ * `cypress/fixtures/a11y/allowlist.json`: `{ rule, selector?, reason }`. A
+ * violation node matching an entry (any node when `selector` is omitted) is
+ * reported as allowlisted and does not fail the test.
+ *
+ * @example
+ * cy.checkA11y(page.checkboxes);
+ * cy.checkA11y("#checkbox-example", { impactThreshold: "serious" });
+ *
+ * @author Omar Rizk
+ */
+
+const IMPACTS = ["minor", "moderate", "serious", "critical"];
+
+function contextSelector(context) {
+  if (!context) {
+    return "html";
+  }
+  if (typeof context === "string") {
+    return context;
+  }
+  if (context.selectors && context.selectors.root) {
+    return context.selectors.root;
+  }
+
+  throw new Error(
+    "checkA11y: context must be a selector or a page section with selectors.root"
+  );
+}
+
+function isAllowlisted(allowlist, violation, node) {
+  return allowlist.some(
+    (entry) =>
+      entry.rule === violation.id &&
+      (!entry.selector || node.target.join(" ") === entry.selector)
+  );
+}
+
+/**
+ * Splits the nodes of each violation into failing and allowlisted ones.
+ */
+function triage(violations, allowlist, threshold) {
+  const failing = [];
+  const allowlisted = [];
+
+  violations.forEach((violation) => {
+    const summary = {
+      id: violation.id,
+      impact: violation.impact,
+      help: violation.help,
+      helpUrl: violation.helpUrl,
+    };
+    const [allowed, remaining] = violation.nodes.reduce(
+      ([yes, no], node) =>
+        isAllowlisted(allowlist, violation, node)
+          ? [[...yes, node], no]
+          : [yes, [...no, node]],
+      [[], []]
+    );
+    const nodes = (list) => list.map((node) => node.target.join(" "));
+
+    if (allowed.length) {
+      allowlisted.push({ ...summary, nodes: nodes(allowed) });
+    }
+    if (
+      remaining.length &&
+      IMPACTS.indexOf(violation.impact) >= IMPACTS.indexOf(threshold)
+    ) {
+      failing.push({ ...summary, nodes: nodes(remaining) });
+    }
+  });
+
+  return { failing, allowlisted };
+}
+
+function logViolation(violation, allowlisted) {
+  Cypress.log({
+    name: allowlisted ? "a11y (allowlisted)" : "a11y",
+    message: `[${violation.impact}] ${violation.id}: ${violation.help} - ${violation.nodes.join(", ")}`,
+    consoleProps: () => violation,
+  });
+}
+
+/**
+ * @param {string|object} [context] - Selector or page object section.
+ * @param {object} [options]
+ * @param {object} [options.rules] - axe-core rule overrides.
+ * @param {"minor"|"moderate"|"serious"|"critical"} [options.impactThreshold="minor"]
+ */
+Cypress.Commands.add(
+  "checkA11y",
+  (context, { rules, impactThreshold = "minor" } = {}) => {
+    if (!IMPACTS.includes(impactThreshold)) {
+      throw new Error(
+        `checkA11y: impactThreshold must be one of ${IMPACTS.join(", ")}, got "${impactThreshold}"`
+      );
+    }
+
+    const selector = contextSelector(context);
+
+    return cy.fixture("a11y/allowlist").then((allowlist) =>
+      cy
+        .get(selector, { log: false })
+        .then(($elements) => {
+          const win = $elements[0].ownerDocument.defaultView;
+          if (!win.axe) {
+            win.eval(axe.source);
+          }
+
+          return win.axe.run(
+            { include: [...$elements] },
+            rules ? { rules } : {}
+          );
+        })
+        .then(({ violations }) => {
+          const { failing, allowlisted } = triage(
+            violations,
+            allowlist,
+            impactThreshold
+          );
+
+          allowlisted.forEach((violation) => logViolation(violation, true));
+          failing.forEach((violation) => logViolation(violation, false));
+
+          return cy
+            .task(
+              "a11y:record",
+              {
+                spec: Cypress.spec.relative,
+                test: Cypress.currentTest.titlePath.join(" > "),
+                context: selector,
+                violations: failing,
+                allowlisted,
+              },
+              { log: false }
+            )
+            .then(() => {
+              if (failing.length) {
+                throw new Error(
+                  `checkA11y: ${failing.length} accessibility violation(s) in "${selector}":\n` +
+                    failing
+                      .map(
+                        (violation) =>
+                          `- [${violation.impact}] ${violation.id}: ${violation.help} (${violation.nodes.join(", ")})`
+                      )
+                      .join("\n")
+                );
+              }
+            });
+        })
+    );
+  }
+);
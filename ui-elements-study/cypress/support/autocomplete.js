@@ -0,0 +1,160 @@
+/// <reference types="cypress" />
+
+/**
+ * @file Autocomplete selection
+ * @description `cy.selectAutocomplete(input, query, expected, options)` types
+ * `query` into a jQuery UI autocomplete, waits for the suggestion list to settle
+ * and picks the suggestion whose text is exactly `expected`:
+ *
+ * - `via: "click"` (default) clicks the suggestion
+ * - `via: "keyboard"` moves to it with the arrow keys and presses Enter
+ *
+ * The list counts as settled once it has not changed for the widget's own
+ * `delay` option (its debounce, 300ms by default) plus a short quiet period, so
+ * a list still being filtered is never used. When `expected` is not among the
+ * suggestions the command fails and lists the ones that were shown. The input
+ * value is verified after every selection.
+ *
+ * Pass arrays to select several values in a row (the input is cleared before
+ * each query unless `clear: false`):
+ *
+ * @example
+ * cy.selectAutocomplete("#autocomplete", "Egy", "Egypt");
+ * cy.selectAutocomplete("#autocomplete", "Ind", "India", { via: "keyboard" });
+ * cy.selectAutocomplete("#autocomplete", ["Jap", "Can"], ["Japan", "Canada"]);
+ *
+ * @author Omar Rizk
+ */
+
+const DEFAULT_DEBOUNCE_MS = 300;
+const QUIET_PERIOD_MS = 150;
+
+/**
+ * The jQuery UI widget of the input, through the page's own jQuery.
+ */
+function autocompleteWidget(input) {
+  const { jQuery } = input.ownerDocument.defaultView;
+  return jQuery && jQuery(input).autocomplete("instance")
+    ? jQuery(input)
+    : null;
+}
+
+function debounceMs(input) {
+  const widget = autocompleteWidget(input);
+  const delay = widget && widget.autocomplete("option", "delay");
+  return typeof delay === "number" ? delay : DEFAULT_DEBOUNCE_MS;
+}
+
+/**
+ * The suggestion elements currently shown for the input.
+ */
+function suggestionElements(input) {
+  const widget = autocompleteWidget(input);
+  const $menu = widget
+    ? widget.autocomplete("widget")
+    : Cypress.$(".ui-autocomplete", input.ownerDocument);
+
+  return [...$menu.filter(":visible").find(".ui-menu-item")];
+}
+
+function suggestionText(element) {
+  return element.textContent.trim();
+}
+
+/**
+ * Types one query and selects `expected`.
+ */
+function selectOne($input, query, expected, { via, clear }) {
+  const input = $input[0];
+  const settleMs = debounceMs(input) + QUIET_PERIOD_MS;
+  let snapshot;
+  let changedAt;
+
+  Cypress.log({
+    name: "selectAutocomplete",
+    message: `"${query}" → ${expected} (${via})`,
+    $el: $input,
+  });
+
+  if (clear) {
+    cy.wrap($input, { log: false }).clear({ log: false });
+  }
+  cy.wrap($input, { log: false }).type(query, { log: false });
+
+  // Retries until the suggestions have stayed the same for settleMs
+  cy.wrap($input, { log: false })
+    .should(() => {
+      const current = suggestionElements(input).map(suggestionText).join("\n");
+      if (current !== snapshot) {
+        snapshot = current;
+        changedAt = Date.now();
+      }
+      if (Date.now() - changedAt < settleMs) {
+        throw new Error(
+          `selectAutocomplete: suggestions for "${query}" did not settle`
+        );
+      }
+    })
+    .then(() => {
+      const elements = suggestionElements(input);
+      const suggestions = elements.map(suggestionText);
+      const index = suggestions.indexOf(expected);
+
+      if (index === -1) {
+        throw new Error(
+          `selectAutocomplete: no suggestion "${expected}" for "${query}". ` +
+            `Suggestions shown: ${
+              suggestions.length
+                ? suggestions.map((text) => `"${text}"`).join(", ")
+                : "none"
+            }`
+        );
+      }
+
+      if (via === "keyboard") {
+        cy.wrap($input, { log: false }).type(
+          `${"{downarrow}".repeat(index + 1)}{enter}`,
+          { log: false }
+        );
+      } else {
+        cy.wrap(elements[index], { log: false }).click({ log: false });
+      }
+    });
+
+  cy.wrap($input, { log: false }).should("have.value", expected);
+}
+
+/**
+ * @param {string} input - Selector of the autocomplete input.
+ * @param {string|string[]} query - Text to type (or one per selection).
+ * @param {string|string[]} expected - Suggestion to select (or one per query).
+ * @param {object} [options]
+ * @param {"click"|"keyboard"} [options.via="click"]
+ * @param {boolean} [options.clear=true] - Clear the input before each query.
+ */
+Cypress.Commands.add(
+  "selectAutocomplete",
+  (input, query, expected, { via = "click", clear = true } = {}) => {
+    const queries = [].concat(query);
+    const expectedValues = [].concat(expected);
+
+    if (queries.length !== expectedValues.length) {
+      throw new Error(
+        `selectAutocomplete: got ${queries.length} queries for ${expectedValues.length} expected values`
+      );
+    }
+    if (!["click", "keyboard"].includes(via)) {
+      throw new Error(
+        `selectAutocomplete: "via" must be "click" or "keyboard", got "${via}"`
+      );
+    }
+
+    return cy.get(input).then(($input) => {
+      queries.forEach((text, index) => {
+        selectOne($input, text, expectedValues[index], { via, clear });
+      });
+
+      return cy.wrap($input, { log: false });
+    });
+  }
+);
@@ -0,0 +1,69 @@
+/// <reference types="cypress" />
+
+/**
+ * @file Data-driven tests
+ * @description Generates one `it` block per row of a test data file from
+ * `cypress/fixtures/data` (loaded by `cypress/plugins/testData.js`).
+ *
+ * Every row carries an `id`, appended to the TC ID of the generated test, so a
+ * failing row is reported as e.g. `[dynamicDropdown_TC012_egypt-lower]`. A row
+ * with `skip` set to true (or "true" in CSV) is generated with `it.skip`.
+ *
+ * @example
+ * import { itEach, testData } from "../../support/dataDriven";
+ *
+ * itEach(testData("autocompleteCountries"), {
+ *   tcId: "dynamicDropdown_TC012",
+ *   title: (row) => `Selects ${row.expectedSelection} after typing "${row.input}"`,
+ * }, (row) => {
+ *   autocomplete.search(row.input);
+ * });
+ *
+ * @author Omar Rizk
+ */
+
+/**
+ * Rows of a test data file.
+ *
+ * @param {string} name - File name in `cypress/fixtures/data`, without extension.
+ * @returns {object[]}
+ */
+export function testData(name) {
+  const data = Cypress.env("testData") || {};
+
+  if (!Array.isArray(data[name])) {
+    throw new Error(
+      `No test data named "${name}". Add cypress/fixtures/data/${name}.json or ${name}.csv ` +
+        `(available: ${Object.keys(data).join(", ") || "none"})`
+    );
+  }
+
+  return data[name];
+}
+
+/**
+ * Declares one test per row.
+ *
+ * @param {object[]} rows - Rows with a unique `id`.
+ * @param {object} options
+ * @param {string} options.tcId - TC ID shared by the generated tests.
+ * @param {(row: object) => string} options.title - Test title for a row.
+ * @param {(row: object) => void} testFn - Test body, called with the row.
+ */
+export function itEach(rows, { tcId, title }, testFn) {
+  const ids = new Set();
+
+  rows.forEach((row) => {
+    if (!row.id || ids.has(row.id)) {
+      throw new Error(
+        `Every ${tcId} row needs a unique "id" (got ${JSON.stringify(row.id)})`
+      );
+    }
+    ids.add(row.id);
+
+    const skip = row.skip === true || row.skip === "true";
+    (skip ? it.skip : it)(`[${tcId}_${row.id}] ${title(row)}`, () =>
+      testFn(row)
+    );
+  });
+}
@@ -0,0 +1,215 @@
+/// <reference types="cypress" />
+
+/**
+ * @file Dialog expectations
+ * @description `cy.expectDialog(options, action)` runs `action` (the commands that
+ * open the dialog) and fails unless exactly one dialog of the expected type
+ * appears within the timeout, with the expected text. `window:alert` listeners
+ * pass silently when no alert shows up; this command does not.
+ *
+ * One API for the three dialogs:
+ *
+ * - `type` - `"alert"`, `"confirm"` or `"prompt"`
+ * - `text` - exact dialog text, or `match` - a RegExp (or substring) it must match
+ * - `respond` - confirm: `true` (OK, default) or `false` (Cancel);
+ *   prompt: the string to enter, or `null` (Cancel, default)
+ * - `timeout` - defaults to `defaultCommandTimeout`
+ *
+ * The command yields the dialog: `{ type, text, defaultValue, response }`.
+ *
+ * The expectation stays in place after the command, until the next
+ * `cy.expectDialog`, `cy.clearDialogExpectation()` or the end of the test. Any
+ * further dialog in that time fails the test instead of being answered again.
+ *
+ * Guard: with the `failOnUnexpectedDialog` env flag set (globally, or per suite
+ * with `describe(name, { env: { failOnUnexpectedDialog: true } }, ...)`), any
+ * dialog opened before the first `cy.expectDialog` (or after clearing it) fails
+ * the test too. Without it such dialogs keep the Cypress defaults (alerts and
+ * confirms are accepted).
+ *
+ * @example
+ * cy.expectDialog({ type: "alert", text: "I am a JS Alert" }, () =>
+ *   cy.contains("Click for JS Alert").click()
+ * );
+ * cy.expectDialog({ type: "prompt", match: /prompt/, respond: "Omar" }, () =>
+ *   cy.contains("Click for JS Prompt").click()
+ * );
+ *
+ * @author Omar Rizk
+ */
+
+const DIALOG_TYPES = ["alert", "confirm", "prompt"];
+
+// The expectation of the last cy.expectDialog, until it is cleared
+let active = null;
+// Dialogs that arrived after the active expectation was met
+let unexpected = [];
+
+Cypress.on("test:before:run", () => {
+  active = null;
+  unexpected = [];
+});
+
+// Catches late dialogs even when the page swallowed the thrown error
+afterEach(() => {
+  if (unexpected.length) {
+    const seen = unexpected
+      .map((dialog) => `${dialog.type} "${dialog.text}"`)
+      .join(", ");
+    throw new Error(`Unexpected dialogs after expectDialog: ${seen}`);
+  }
+});
+
+function describeText(expectation) {
+  return expectation.text !== undefined
+    ? `"${expectation.text}"`
+    : `matching ${expectation.match}`;
+}
+
+function textMatches(expectation, text) {
+  if (expectation.text !== undefined) {
+    return text === expectation.text;
+  }
+  if (expectation.match instanceof RegExp) {
+    return expectation.match.test(text);
+  }
+  return text.includes(expectation.match);
+}
+
+function defaultResponse(type) {
+  return type === "confirm" ? true : null;
+}
+
+/**
+ * Replaces the dialog functions of every page window. Dialogs go to the active
+ * expectation until it is met, then fail the test. Without an expectation they
+ * fail the test when the guard is on, or else fall through to the Cypress
+ * handling (`window:alert` / `window:confirm` events).
+ */
+Cypress.on("window:before:load", (win) => {
+  DIALOG_TYPES.forEach((type) => {
+    const original = win[type].bind(win);
+
+    win[type] = (message = "", defaultValue) => {
+      const text = String(message);
+
+      if (active && active.met) {
+        unexpected.push({ type, text });
+        throw new Error(
+          `Unexpected ${type} dialog: "${text}" after the expected ${active.type}`
+        );
+      }
+
+      if (active) {
+        const response =
+          type === active.type ? active.respond : defaultResponse(type);
+        active.dialogs.push({ type, text, defaultValue, response });
+        Cypress.log({ name: type, message: text });
+        return response;
+      }
+
+      if (Cypress.env("failOnUnexpectedDialog")) {
+        throw new Error(`Unexpected ${type} dialog: "${text}"`);
+      }
+
+      return original(message, defaultValue);
+    };
+  });
+});
+
+/**
+ * The failure message for the dialogs seen, or null when they are as expected.
+ */
+function dialogError(expectation) {
+  const { type, dialogs } = expectation;
+  const seen = dialogs
+    .map((dialog) => `${dialog.type} "${dialog.text}"`)
+    .join(", ");
+
+  if (dialogs.some((dialog) => dialog.type !== type)) {
+    return `expectDialog: expected a ${type} but got: ${seen}`;
+  }
+  if (dialogs.length > 1) {
+    return `expectDialog: expected one ${type} but got ${dialogs.length}: ${seen}`;
+  }
+  if (!textMatches(expectation, dialogs[0].text)) {
+    return `expectDialog: expected ${type} text ${describeText(
+      expectation
+    )} but got "${dialogs[0].text}"`;
+  }
+  return null;
+}
+
+/**
+ * @param {object} options
+ * @param {"alert"|"confirm"|"prompt"} options.type
+ * @param {string} [options.text] - Exact dialog text.
+ * @param {RegExp|string} [options.match] - Pattern or substring of the text.
+ * @param {boolean|string|null} [options.respond] - Confirm or prompt answer.
+ * @param {number} [options.timeout]
+ * @param {Function} action - Runs the commands that open the dialog.
+ */
+Cypress.Commands.add("expectDialog", (options, action) => {
+  const {
+    type,
+    text,
+    match,
+    respond = defaultResponse(type),
+    timeout = Cypress.config("defaultCommandTimeout"),
+  } = options;
+
+  if (!DIALOG_TYPES.includes(type)) {
+    throw new Error(
+      `expectDialog: "type" must be one of ${DIALOG_TYPES.join(", ")}, got "${type}"`
+    );
+  }
+  if ((text === undefined) === (match === undefined)) {
+    throw new Error('expectDialog: pass exactly one of "text" or "match"');
+  }
+  if (typeof action !== "function") {
+    throw new Error(
+      "expectDialog: pass the commands that open the dialog as a function"
+    );
+  }
+
+  const expectation = { type, text, match, respond, dialogs: [], met: false };
+
+  Cypress.log({
+    name: "expectDialog",
+    message: `${type} ${describeText(expectation)}`,
+  });
+
+  return cy
+    .wrap(null, { log: false })
+    .then(() => {
+      active = expectation;
+      action();
+    })
+    .then(() =>
+      cy.wrap(expectation, { log: false, timeout }).should(() => {
+        if (!expectation.dialogs.length) {
+          throw new Error(
+            `expectDialog: no ${type} appeared within ${timeout}ms`
+          );
+        }
+      })
+    )
+    .then(() => {
+      // Any later dialog is unexpected until the expectation is cleared
+      expectation.met = true;
+
+      const error = dialogError(expectation);
+      if (error) {
+        throw new Error(error);
+      }
+
+      return expectation.dialogs[0];
+    });
+});
+
+/** Clears the last `cy.expectDialog` expectation. */
+Cypress.Commands.add("clearDialogExpectation", () => {
+  cy.wrap(null, { log: false }).then(() => {
+    active = null;
+  });
+});
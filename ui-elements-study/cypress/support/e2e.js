@@ -14,4 +14,12 @@
 // ***********************************************************
 
 // Import commands.js using ES2015 syntax:
-import './commands'
\ No newline at end of file
+import './commands'
+import './externalSites'
+import './tables'
+import './autocomplete'
+import './realEvents'
+import './dialogs'
+import './windows'
+import './a11y'
+import './keyboard'
\ No newline at end of file
@@ -0,0 +1,25 @@
+/// <reference types="cypress" />
+
+/**
+ * @file External sites
+ * @description The practice page links to https://www.qaclickacademy.com ("Open Tab"
+ * and "Open Window"). With the local profile (the default), that site is answered
+ * from `cypress/fixtures/qaclickacademy.html` so the tab and window tests run
+ * offline too. With `--env target=live` the real site is used.
+ *
+ * @author Omar Rizk
+ */
+
+beforeEach(() => {
+  if (Cypress.env("target") === "live") {
+    return;
+  }
+
+  cy.intercept(
+    { hostname: "www.qaclickacademy.com" },
+    {
+      fixture: "qaclickacademy.html",
+      headers: { "content-type": "text/html; charset=utf-8" },
+    }
+  ).as("qaclickacademy");
+});
@@ -0,0 +1,118 @@
+/// <reference types="cypress" />
+
+/**
+ * @file Keyboard navigation
+ * @description `cy.type()` cannot move focus with Tab, so these commands press a
+ * real Tab key through `cy.realPress` (see `cypress/support/realEvents.js`):
+ *
+ * - `cy.tab(options)` / `cy.get(el).tab(options)` - presses Tab (Shift+Tab with
+ *   `shift: true`), after focusing the subject if there is one, and yields the
+ *   newly focused element
+ * - `cy.assertFocusOrder(selectors, options)` - focuses the first selector, then
+ *   tabs through the rest (backwards with `shift: true`) and fails unless each
+ *   one receives focus in turn with a visible focus indicator
+ *
+ * Focus counts as visible when the element is visible, matches `:focus-visible`
+ * and has an outline or box shadow.
+ *
+ * @example
+ * cy.get("#name").tab().should("have.id", "alertbtn");
+ * cy.assertFocusOrder(["#name", "#alertbtn", "#confirmbtn"]);
+ *
+ * @author Omar Rizk
+ */
+
+/**
+ * Short description of an element for failure messages: `input#name`.
+ */
+function describeElement(element) {
+  if (!element) {
+    return "nothing";
+  }
+
+  const id = element.id ? `#${element.id}` : "";
+  const name = element.getAttribute("name");
+  const value = element.getAttribute("value");
+
+  return [
+    `${element.tagName.toLowerCase()}${id}`,
+    !id && name ? `[name="${name}"]` : "",
+    !id && value ? `[value="${value}"]` : "",
+  ].join("");
+}
+
+function hasFocusIndicator(element) {
+  const style = element.ownerDocument.defaultView.getComputedStyle(element);
+  const outline =
+    style.outlineStyle !== "none" && parseFloat(style.outlineWidth) > 0;
+
+  return outline || style.boxShadow !== "none";
+}
+
+/**
+ * @param {object} [options]
+ * @param {boolean} [options.shift=false] - Press Shift+Tab.
+ */
+Cypress.Commands.add(
+  "tab",
+  { prevSubject: "optional" },
+  (subject, { shift = false } = {}) => {
+    if (subject) {
+      cy.wrap(subject, { log: false }).focus({ log: false });
+    }
+
+    Cypress.log({ name: "tab", message: shift ? "Shift+Tab" : "Tab" });
+
+    return cy
+      .realPress(shift ? ["Shift", "Tab"] : "Tab", { log: false })
+      .then(() => cy.focused({ log: false }));
+  }
+);
+
+/**
+ * @param {string[]} selectors - Elements in the expected focus order.
+ * @param {object} [options]
+ * @param {boolean} [options.shift=false] - Tab backwards (Shift+Tab).
+ */
+Cypress.Commands.add(
+  "assertFocusOrder",
+  (selectors, { shift = false } = {}) => {
+    if (selectors.length < 2) {
+      throw new Error("assertFocusOrder: pass at least two selectors");
+    }
+
+    const [first, ...rest] = selectors;
+
+    Cypress.log({
+      name: "assertFocusOrder",
+      message: selectors.join(shift ? " ← " : " → "),
+    });
+
+    cy.get(first, { log: false }).focus({ log: false });
+
+    rest.forEach((selector, index) => {
+      const previous = selectors[index];
+
+      cy.realPress(shift ? ["Shift", "Tab"] : "Tab", { log: false });
+      cy.focused({ log: false }).should(($focused) => {
+        const element = $focused[0];
+
+        if (!element || !element.matches(selector)) {
+          throw new Error(
+            `assertFocusOrder: expected focus to move from "${previous}" to ` +
+              `"${selector}" but it moved to ${describeElement(element)}`
+          );
+        }
+        if (
+          !Cypress.dom.isVisible(element) ||
+          !element.matches(":focus-visible") ||
+          !hasFocusIndicator(element)
+        ) {
+          throw new Error(
+            `assertFocusOrder: "${selector}" has focus but no visible focus indicator`
+          );
+        }
+      });
+    });
+  }
+);
@@ -0,0 +1,215 @@
+/// <reference types="cypress" />
+
+/**
+ * @file Real input events
+ * @description Commands that move the real mouse and press real keys through the
+ * Chrome DevTools Protocol (see `cypress/plugins/realEvents.js`), so CSS `:hover`,
+ * focus rings and native default actions behave as they do for users:
+ *
+ * - `cy.get(el).realHover(options)` - moves the pointer over the element
+ * - `cy.get(el).realClick(options)` - moves the pointer and clicks
+ * - `cy.realPress(key)`             - presses a key (`"Enter"`, `"a"`) or a
+ *                                     combination (`["Shift", "Tab"]`)
+ *
+ * Coordinates are computed in the app under test and converted to the Cypress
+ * page: the element position is scaled like the app iframe (the runner shrinks
+ * it to fit) and offset by the iframe position.
+ *
+ * @example
+ * cy.get("#mousehover").realHover();
+ * cy.get(".mouse-hover-content").should("be.visible");
+ *
+ * @author Omar Rizk
+ */
+
+// Fraction of the element's width and height for each position
+const POSITIONS = {
+  topLeft: [0, 0],
+  top: [0.5, 0],
+  topRight: [1, 0],
+  left: [0, 0.5],
+  center: [0.5, 0.5],
+  right: [1, 0.5],
+  bottomLeft: [0, 1],
+  bottom: [0.5, 1],
+  bottomRight: [1, 1],
+};
+
+// CDP modifier bit flags
+const MODIFIERS = { Alt: 1, Control: 2, Meta: 4, Shift: 8 };
+
+// Non-printable keys: [code, windowsVirtualKeyCode, text]
+const KEYS = {
+  Enter: ["Enter", 13, "\r"],
+  Tab: ["Tab", 9, ""],
+  Escape: ["Escape", 27, ""],
+  Backspace: ["Backspace", 8, ""],
+  Delete: ["Delete", 46, ""],
+  Space: ["Space", 32, " "],
+  " ": ["Space", 32, " "],
+  ArrowUp: ["ArrowUp", 38, ""],
+  ArrowDown: ["ArrowDown", 40, ""],
+  ArrowLeft: ["ArrowLeft", 37, ""],
+  ArrowRight: ["ArrowRight", 39, ""],
+  Home: ["Home", 36, ""],
+  End: ["End", 35, ""],
+  PageUp: ["PageUp", 33, ""],
+  PageDown: ["PageDown", 34, ""],
+  Shift: ["ShiftLeft", 16, ""],
+  Control: ["ControlLeft", 17, ""],
+  Alt: ["AltLeft", 18, ""],
+  Meta: ["MetaLeft", 91, ""],
+};
+
+function dispatch(commands) {
+  return cy.task("realEvents:dispatch", commands, { log: false });
+}
+
+/**
+ * Viewport coordinates of a point of `element` in the Cypress page.
+ */
+function pagePoint(element, position) {
+  const [fractionX, fractionY] = POSITIONS[position] || POSITIONS.center;
+  const rect = element.getBoundingClientRect();
+  const autIframe = window.top.document.querySelector(".aut-iframe");
+  const frameRect = autIframe.getBoundingClientRect();
+  const scale = autIframe.offsetWidth
+    ? frameRect.width / autIframe.offsetWidth
+    : 1;
+
+  return {
+    x: frameRect.left + (rect.left + rect.width * fractionX) * scale,
+    y: frameRect.top + (rect.top + rect.height * fractionY) * scale,
+  };
+}
+
+function keyEvent(key) {
+  if (KEYS[key]) {
+    const [code, keyCode, text] = KEYS[key];
+    return { key: key === "Space" ? " " : key, code, keyCode, text };
+  }
+  if (key.length === 1) {
+    const upper = key.toUpperCase();
+    const code = /[A-Z]/.test(upper)
+      ? `Key${upper}`
+      : /[0-9]/.test(key)
+        ? `Digit${key}`
+        : "";
+    return { key, code, keyCode: upper.charCodeAt(0), text: key };
+  }
+
+  throw new Error(
+    `realPress: unknown key "${key}". Use a single character or one of: ${Object.keys(
+      KEYS
+    ).join(", ")}`
+  );
+}
+
+/**
+ * Scrolls the subject into view and yields the pointer position on it.
+ */
+function pointerTarget(subject, command, position) {
+  if (subject.length !== 1) {
+    throw new Error(
+      `${command} can only be used on a single element, got ${subject.length}`
+    );
+  }
+
+  subject[0].scrollIntoView({ block: "center", inline: "center" });
+  return pagePoint(subject[0], position);
+}
+
+/**
+ * @param {object} [options]
+ * @param {keyof POSITIONS} [options.position="center"]
+ */
+Cypress.Commands.add(
+  "realHover",
+  { prevSubject: "element" },
+  (subject, { position = "center" } = {}) => {
+    const { x, y } = pointerTarget(subject, "realHover", position);
+
+    Cypress.log({ name: "realHover", $el: subject, message: position });
+
+    return dispatch([
+      {
+        method: "Input.dispatchMouseEvent",
+        params: { type: "mouseMoved", x, y },
+      },
+    ]).then(() => subject);
+  }
+);
+
+/**
+ * @param {object} [options]
+ * @param {keyof POSITIONS} [options.position="center"]
+ * @param {"left"|"middle"|"right"} [options.button="left"]
+ * @param {number} [options.clickCount=1] - 2 for a double click.
+ */
+Cypress.Commands.add(
+  "realClick",
+  { prevSubject: "element" },
+  (subject, { position = "center", button = "left", clickCount = 1 } = {}) => {
+    const { x, y } = pointerTarget(subject, "realClick", position);
+    const mouseEvent = (type, count) => ({
+      method: "Input.dispatchMouseEvent",
+      params: { type, x, y, button, clickCount: count },
+    });
+
+    Cypress.log({ name: "realClick", $el: subject, message: position });
+
+    const commands = [
+      {
+        method: "Input.dispatchMouseEvent",
+        params: { type: "mouseMoved", x, y },
+      },
+    ];
+    for (let count = 1; count <= clickCount; count += 1) {
+      commands.push(mouseEvent("mousePressed", count));
+      commands.push(mouseEvent("mouseReleased", count));
+    }
+
+    return dispatch(commands).then(() => subject);
+  }
+);
+
+/**
+ * @param {string|string[]} keys - A key, or modifiers followed by a key.
+ * @param {object} [options]
+ * @param {boolean} [options.log=true]
+ */
+Cypress.Commands.add("realPress", (keys, { log = true } = {}) => {
+  const combination = [].concat(keys);
+  const events = combination.map(keyEvent);
+  const modifiers = combination
+    .slice(0, -1)
+    .reduce((flags, key) => flags | (MODIFIERS[key] || 0), 0);
+
+  if (log) {
+    Cypress.log({ name: "realPress", message: combination.join("+") });
+  }
+
+  const keyCommand = (type, { key, code, keyCode, text }, withText) => ({
+    method: "Input.dispatchKeyEvent",
+    params: {
+      type,
+      key,
+      code,
+      windowsVirtualKeyCode: keyCode,
+      modifiers,
+      ...(withText && text ? { text } : {}),
+    },
+  });
+
+  // Press every key in order, then release them in reverse order
+  return dispatch([
+    ...events.map((event, index) =>
+      keyCommand(
+        index === events.length - 1 && event.text ? "keyDown" : "rawKeyDown",
+        event,
+        index === events.length - 1
+      )
+    ),
+    ...[...events].reverse().map((event) => keyCommand("keyUp", event, false)),
+  ]);
+});
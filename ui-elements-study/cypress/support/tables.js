@@ -0,0 +1,235 @@
+/// <reference types="cypress" />
+
+/**
+ * @file Web table reader and assertions
+ * @description `cy.readTable(selector)` reads an HTML table into an array of row
+ * objects keyed by header text:
+ *
+ *   [{ Instructor: "Rahul Shetty", Course: "Learn SQL ...", Price: "25" }, ...]
+ *
+ * Headers come from the first row holding `<th>` cells, whether it sits in a
+ * `<thead>` (customers table) or in the body (courses table). Cell text is
+ * trimmed and kept as a string. `readTable` is a query, so assertions chained on
+ * it retry until the table matches.
+ *
+ * Companion Chai assertions, usable with `expect()` and `.should()`:
+ * - `rowWhere(predicate | partialRow)` - a row matches; the row becomes the subject
+ * - `columnSum(column, total)`         - numeric values of a column add up to total
+ * - `sortedBy(column, { descending, numeric })`
+ * - `uniqueBy(column)`                 - no value appears twice in a column
+ * - `matchRows(expectedRows)`          - rows equal expected rows (on the columns
+ *                                        they list), with a per-cell diff
+ *
+ * @example
+ * cy.readTable('#product[name="courses"]')
+ *   .should("have.rowWhere", (row) => row.Course.includes("Jenkins"))
+ *   .and("have.property", "Price", "20");
+ *
+ * cy.readTable(".tableFixHead #product").should("have.columnSum", "Amount", 296);
+ *
+ * @author Omar Rizk
+ */
+
+function cellText(cell) {
+  return cell.textContent.trim();
+}
+
+/**
+ * Converts a table element into row objects keyed by header text.
+ */
+function parseTable(table) {
+  const rows = [...table.querySelectorAll("tr")];
+  const headerRow = rows.find((row) => row.querySelector("th"));
+
+  if (!headerRow) {
+    throw new Error("readTable: the table has no header row (<th> cells)");
+  }
+
+  const headers = [...headerRow.querySelectorAll("th")].map(cellText);
+
+  return rows
+    .filter((row) => row !== headerRow && row.querySelector("td"))
+    .map((row) =>
+      [...row.querySelectorAll("td")].reduce(
+        (result, cell, index) => ({
+          ...result,
+          [headers[index] || `column${index + 1}`]: cellText(cell),
+        }),
+        {}
+      )
+    );
+}
+
+/**
+ * @param {string} selector - Selector of the `<table>` element.
+ * @param {object} [options] - Options passed to `cy.get()` (`timeout`, `log`).
+ */
+Cypress.Commands.addQuery("readTable", function (selector, options = {}) {
+  this.set("timeout", options.timeout);
+
+  const getTable = cy.now("get", selector, { ...options, log: false });
+  const log =
+    options.log !== false &&
+    Cypress.log({ name: "readTable", message: selector });
+
+  return () => {
+    const $table = getTable();
+
+    if ($table.length !== 1 || $table[0].tagName !== "TABLE") {
+      throw new Error(
+        `readTable: expected "${selector}" to match one <table>, found ${$table.length} element(s)`
+      );
+    }
+
+    const rows = parseTable($table[0]);
+
+    if (log) {
+      log.set({ consoleProps: () => ({ Selector: selector, Yielded: rows }) });
+    }
+
+    return rows;
+  };
+});
+
+function toNumber(value) {
+  return Number(String(value).replace(/[^0-9.-]/g, ""));
+}
+
+function columnValues(rows, column) {
+  return rows.map((row) => row[column]);
+}
+
+/**
+ * Describes the differences between actual and expected rows, one line each.
+ */
+function diffRows(actual, expected) {
+  const lines = [];
+
+  expected.forEach((expectedRow, index) => {
+    const actualRow = actual[index];
+    if (!actualRow) {
+      lines.push(
+        `  row ${index}: missing, expected ${JSON.stringify(expectedRow)}`
+      );
+      return;
+    }
+
+    Object.keys(expectedRow).forEach((column) => {
+      if (String(actualRow[column]) !== String(expectedRow[column])) {
+        lines.push(
+          `  row ${index} "${column}": expected ${JSON.stringify(
+            expectedRow[column]
+          )}, got ${JSON.stringify(actualRow[column])}`
+        );
+      }
+    });
+  });
+
+  actual.slice(expected.length).forEach((actualRow, offset) => {
+    lines.push(
+      `  row ${expected.length + offset}: unexpected ${JSON.stringify(actualRow)}`
+    );
+  });
+
+  return lines;
+}
+
+chai.use((_chai, utils) => {
+  const { Assertion } = _chai;
+
+  Assertion.addMethod("rowWhere", function (criteria) {
+    const rows = this._obj;
+    const matches =
+      typeof criteria === "function"
+        ? criteria
+        : (row) =>
+            Object.entries(criteria).every(([column, value]) =>
+              value instanceof RegExp
+                ? value.test(row[column])
+                : row[column] === String(value)
+            );
+    const row = rows.find(matches);
+    const description =
+      typeof criteria === "function"
+        ? "the predicate"
+        : JSON.stringify(criteria, (key, value) =>
+            value instanceof RegExp ? String(value) : value
+          );
+
+    this.assert(
+      row !== undefined,
+      `expected a row matching ${description}`,
+      `expected no row matching ${description}`
+    );
+
+    if (row !== undefined) {
+      utils.flag(this, "object", row);
+    }
+  });
+
+  Assertion.addMethod("columnSum", function (column, expectedTotal) {
+    const total = columnValues(this._obj, column)
+      .map(toNumber)
+      .reduce((sum, value) => sum + value, 0);
+
+    this.assert(
+      total === expectedTotal,
+      `expected column "${column}" to sum to #{exp} but got #{act}`,
+      `expected column "${column}" not to sum to #{exp}`,
+      expectedTotal,
+      total
+    );
+  });
+
+  Assertion.addMethod(
+    "sortedBy",
+    function (column, { descending = false, numeric = false } = {}) {
+      const values = columnValues(this._obj, column);
+      const compare = numeric
+        ? (a, b) => toNumber(a) - toNumber(b)
+        : (a, b) => a.localeCompare(b);
+      const sorted = [...values].sort((a, b) =>
+        descending ? compare(b, a) : compare(a, b)
+      );
+      const order = descending ? "descending" : "ascending";
+
+      this.assert(
+        utils.eql(values, sorted),
+        `expected column "${column}" to be sorted in ${order} order`,
+        `expected column "${column}" not to be sorted in ${order} order`,
+        sorted,
+        values,
+        true
+      );
+    }
+  );
+
+  Assertion.addMethod("uniqueBy", function (column) {
+    const values = columnValues(this._obj, column);
+    const duplicates = [
+      ...new Set(
+        values.filter((value, index) => values.indexOf(value) !== index)
+      ),
+    ];
+
+    this.assert(
+      duplicates.length === 0,
+      `expected column "${column}" to have unique values, but found duplicates: ${duplicates.join(
+        ", "
+      )}`,
+      `expected column "${column}" to contain duplicate values`
+    );
+  });
+
+  Assertion.addMethod("matchRows", function (expectedRows) {
+    const differences = diffRows(this._obj, expectedRows);
+
+    this.assert(
+      differences.length === 0,
+      `expected table rows to match, but found ${
+        differences.length
+      } difference(s):\n${differences.join("\n")}`,
+      "expected table rows not to match"
+    );
+  });
+});
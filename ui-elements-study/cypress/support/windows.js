@@ -0,0 +1,165 @@
+/// <reference types="cypress" />
+
+/**
+ * @file New tabs and windows
+ * @description Cypress drives a single tab, so pages opened in a new tab or window
+ * are followed in the same runner instead:
+ *
+ * - `cy.followNewWindow(action, inNewWindow)` runs `action`, captures the page
+ *   it opens - a `target="_blank"` link or a `window.open()` call - and visits
+ *   it. `inNewWindow({ url })` then runs on that page, inside `cy.origin()` when
+ *   it is on another origin (so, like any `cy.origin` callback, it must not use
+ *   variables from the test). Afterwards the original page is restored. Without
+ *   `inNewWindow` the runner stays on the new page.
+ * - `cy.returnToOriginalWindow()` goes back to the page `cy.followNewWindow`
+ *   started from.
+ *
+ * Going back restores the original URL, the values of its form controls and
+ * its scroll position, so the test carries on as if it had switched tabs.
+ * The captured `window.open()` returns `null` to the page.
+ *
+ * @example
+ * cy.followNewWindow(
+ *   () => cy.get("#openwindow").click(),
+ *   () => cy.title().should("contain", "QAClick Academy")
+ * );
+ *
+ * @author Omar Rizk
+ */
+
+const BLANK_TARGETS = ["", "_self", "_parent", "_top"];
+
+// The page cy.followNewWindow left, restored by cy.returnToOriginalWindow
+let originalPage = null;
+
+Cypress.on("test:before:run", () => {
+  originalPage = null;
+});
+
+/**
+ * Records the URLs the window tries to open elsewhere, without opening them.
+ * Returns a function that removes the capture.
+ */
+function captureOpenedUrls(win, opened) {
+  const originalOpen = win.open;
+  const onClick = (event) => {
+    const link = event.target.closest && event.target.closest("a[target]");
+    if (link && !BLANK_TARGETS.includes(link.target)) {
+      event.preventDefault();
+      opened.push(link.href);
+    }
+  };
+
+  win.open = (url = "") => {
+    opened.push(new URL(url, win.location.href).href);
+    return null;
+  };
+  win.document.addEventListener("click", onClick, true);
+
+  return () => {
+    win.open = originalOpen;
+    win.document.removeEventListener("click", onClick, true);
+  };
+}
+
+function formControls(doc) {
+  return [...doc.querySelectorAll("input, select, textarea")];
+}
+
+function snapshotPage(win) {
+  return {
+    url: win.location.href,
+    scroll: [win.scrollX, win.scrollY],
+    controls: formControls(win.document).map((control) =>
+      control.type === "checkbox" || control.type === "radio"
+        ? { checked: control.checked }
+        : { value: control.value }
+    ),
+  };
+}
+
+function restorePage(win, { scroll, controls }) {
+  formControls(win.document).forEach((control, index) => {
+    const saved = controls[index];
+    if (!saved) {
+      return;
+    }
+    if ("checked" in saved) {
+      control.checked = saved.checked;
+    } else if (control.type !== "file") {
+      control.value = saved.value;
+    }
+  });
+  win.scrollTo(...scroll);
+}
+
+/**
+ * @param {Function} action - Runs the commands that open the tab or window.
+ * @param {Function} [inNewWindow] - Commands for the new page, called with `{ url }`.
+ */
+Cypress.Commands.add("followNewWindow", (action, inNewWindow) => {
+  const opened = [];
+  let stopCapture;
+
+  return cy
+    .window({ log: false })
+    .then((win) => {
+      originalPage = snapshotPage(win);
+      stopCapture = captureOpenedUrls(win, opened);
+      action();
+    })
+    .then(() =>
+      cy.wrap(opened, { log: false }).should((urls) => {
+        if (!urls.length) {
+          throw new Error(
+            "followNewWindow: the action did not open a new tab or window"
+          );
+        }
+      })
+    )
+    .then(() => {
+      stopCapture();
+
+      const [url] = opened;
+      const { origin } = new URL(url);
+      const crossOrigin = origin !== new URL(originalPage.url).origin;
+
+      Cypress.log({ name: "followNewWindow", message: url });
+
+      if (crossOrigin) {
+        cy.origin(origin, { args: { url } }, ({ url: newUrl }) => {
+          cy.visit(newUrl);
+        });
+      } else {
+        cy.visit(url, { log: false });
+      }
+
+      if (inNewWindow) {
+        if (crossOrigin) {
+          cy.origin(origin, { args: { url } }, inNewWindow);
+        } else {
+          inNewWindow({ url });
+        }
+        cy.returnToOriginalWindow();
+      }
+
+      return cy.wrap(url, { log: false });
+    });
+});
+
+Cypress.Commands.add("returnToOriginalWindow", () => {
+  if (!originalPage) {
+    throw new Error(
+      "returnToOriginalWindow: no page was left with cy.followNewWindow"
+    );
+  }
+
+  const page = originalPage;
+  originalPage = null;
+
+  Cypress.log({ name: "returnToOriginalWindow", message: page.url });
+
+  return cy
+    .visit(page.url, { log: false })
+    .then((win) => restorePage(win, page));
+});
@@ -0,0 +1,34 @@
+// Behaviour of the AutomationPractice replica. Function names match the live
+// page, which wires them through inline onclick attributes. Like the live page,
+// it keeps no form state of its own: what survives a reload is up to the
+// browser's form restoration.
+
+/* global $, COUNTRIES */
+
+function openWindow() {
+  window.open("https://www.qaclickacademy.com/");
+}
+
+function displayAlert() {
+  const name = document.getElementById("name").value;
+  alert(`Hello ${name}, share this practice page and share your knowledge`);
+  document.getElementById("name").value = "";
+}
+
+function displayConfirm() {
+  const name = document.getElementById("name").value;
+  confirm(`Hello ${name}, Are you sure you want to confirm?`);
+  document.getElementById("name").value = "";
+}
+
+function hideElement() {
+  document.getElementById("displayed-text").style.display = "none";
+}
+
+function showElement() {
+  document.getElementById("displayed-text").style.display = "block";
+}
+
+// Country suggestions: jQuery UI's default array source matches anywhere in the
+// name, case-insensitively ("ind" -> British Indian Ocean Territory, India, ...)
+$("#autocomplete").autocomplete({ source: COUNTRIES });
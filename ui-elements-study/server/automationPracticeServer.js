@@ -0,0 +1,44 @@
+/**
+ * @file Local AutomationPractice page
+ * @description Serves the offline replica of
+ * https://rahulshettyacademy.com/AutomationPractice/ (`server/automation-practice`)
+ * together with the jQuery and jQuery UI builds it loads from `/vendor`.
+ *
+ * Usage:
+ * - From Cypress: `startAutomationPracticeServer()` is called from `setupNodeEvents`.
+ * - Standalone:   `npm run app:server` (listens on PORT, default 8080).
+ *
+ * @author Omar Rizk
+ */
+
+const path = require("path");
+const { startStaticServer } = require("../../shared/staticServer");
+
+const ROOT = path.join(__dirname, "automation-practice");
+const NODE_MODULES = path.join(__dirname, "..", "node_modules");
+const VENDOR_MOUNTS = {
+  "/vendor/jquery": path.join(NODE_MODULES, "jquery", "dist"),
+  "/vendor/jquery-ui": path.join(NODE_MODULES, "jquery-ui", "dist"),
+};
+
+/**
+ * Starts the replica.
+ *
+ * @param {object} [options]
+ * @param {number} [options.port=0] - Port to listen on; 0 picks a free port.
+ * @returns {Promise<{ server: http.Server, url: string }>}
+ */
+function startAutomationPracticeServer({ port = 0 } = {}) {
+  return startStaticServer({ root: ROOT, mounts: VENDOR_MOUNTS, port });
+}
+
+module.exports = { startAutomationPracticeServer };
+
+// Allow running the server on its own: `node server/automationPracticeServer.js`
+if (require.main === module) {
+  startAutomationPracticeServer({
+    port: Number(process.env.PORT) || 8080,
+  }).then(({ url }) =>
+    console.log(`AutomationPractice replica listening on ${url}`)
+  );
+}